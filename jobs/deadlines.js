@@ -0,0 +1,39 @@
+const Goal = require('../models/Goal');
+const escrow = require('../services/escrow');
+
+const BATCH_SIZE = 100;
+
+// Fail every active goal past its deadline and forfeit the remaining escrow
+const enforceDeadlines = async (now = new Date()) => {
+  let failed = 0;
+  let lastId = null;
+
+  // Page by _id so goals that error are skipped rather than retried forever
+  for (;;) {
+    const query = { status: 'active', deadline: { $lte: now } };
+    if (lastId) query._id = { $gt: lastId };
+
+    const overdue = await Goal.find(query).select('_id').sort({ _id: 1 }).limit(BATCH_SIZE);
+    if (overdue.length === 0) break;
+
+    for (const { _id } of overdue) {
+      try {
+        const result = await escrow.failGoal(_id, now);
+        if (result) {
+          failed++;
+          console.log(`Goal ${_id} failed: deadline passed, $${result.forfeitedAmount} forfeited`);
+        }
+      } catch (error) {
+        console.error(`Error failing overdue goal ${_id}:`, error);
+      }
+    }
+
+    lastId = overdue[overdue.length - 1]._id;
+  }
+
+  return failed;
+};
+
+module.exports = {
+  enforceDeadlines
+};
@@ -0,0 +1,47 @@
+const { scheduleJob, stopAllJobs } = require('./scheduler');
+const { enforceDeadlines } = require('./deadlines');
+const { sendReminders } = require('./reminders');
+const { processSubscriptions } = require('./subscriptions');
+const { processDueDeliveries } = require('../services/webhooks');
+
+const DEFAULT_DEADLINE_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+const DEFAULT_REMINDER_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+const DEFAULT_WEBHOOK_RETRY_INTERVAL_MS = 30 * 1000; // 30 seconds
+const DEFAULT_SUBSCRIPTION_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+
+// Start all background jobs. Set DISABLE_JOBS=true to run the API without them.
+const startJobs = () => {
+  if (process.env.DISABLE_JOBS === 'true') {
+    console.log('⏸️  Background jobs disabled');
+    return;
+  }
+
+  scheduleJob(
+    'deadlines',
+    Number(process.env.DEADLINE_CHECK_INTERVAL_MS) || DEFAULT_DEADLINE_INTERVAL_MS,
+    () => enforceDeadlines()
+  );
+
+  scheduleJob(
+    'reminders',
+    Number(process.env.REMINDER_CHECK_INTERVAL_MS) || DEFAULT_REMINDER_INTERVAL_MS,
+    () => sendReminders()
+  );
+
+  scheduleJob(
+    'webhook-retries',
+    Number(process.env.WEBHOOK_RETRY_INTERVAL_MS) || DEFAULT_WEBHOOK_RETRY_INTERVAL_MS,
+    () => processDueDeliveries()
+  );
+
+  scheduleJob(
+    'subscriptions',
+    Number(process.env.SUBSCRIPTION_CHECK_INTERVAL_MS) || DEFAULT_SUBSCRIPTION_INTERVAL_MS,
+    () => processSubscriptions()
+  );
+};
+
+module.exports = {
+  startJobs,
+  stopAllJobs
+};
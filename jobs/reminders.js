@@ -0,0 +1,133 @@
+const Goal = require('../models/Goal');
+const { notify } = require('../services/notifications');
+const { safeTimezone, localHour, localDayNumber, formatLocalDate } = require('../utils/timezone');
+
+const BATCH_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reminders are only sent during the user's local daytime
+const FIRST_HOUR = 9;
+const LAST_HOUR = 20;
+
+const stalledMilestoneDays = () => Number(process.env.STALLED_MILESTONE_DAYS) || 7;
+
+// Days before the deadline to warn, e.g. DEADLINE_WARNING_DAYS=7,1
+const deadlineWarningDays = () => {
+  return (process.env.DEADLINE_WARNING_DAYS || '7,1')
+    .split(',')
+    .map(Number)
+    .filter(days => days > 0)
+    .sort((a, b) => a - b);
+};
+
+// Goal titles can be 500 characters but notification titles only 200, so
+// long titles are shortened there (the body keeps the full title)
+const MAX_GOAL_TITLE_IN_TITLE = 120;
+
+const shortTitle = (title) => {
+  return title.length > MAX_GOAL_TITLE_IN_TITLE ? `${title.slice(0, MAX_GOAL_TITLE_IN_TITLE - 1).trimEnd()}…` : title;
+};
+
+const describeDaysLeft = (daysLeft) => {
+  if (daysLeft <= 0) return 'today';
+  if (daysLeft === 1) return 'tomorrow';
+  return `in ${daysLeft} days`;
+};
+
+// Warn once per threshold as the deadline approaches, counting local calendar days
+const remindDeadline = async (goal, user, timezone, now) => {
+  if (!goal.deadline) return false;
+
+  const daysLeft = localDayNumber(goal.deadline, timezone) - localDayNumber(now, timezone);
+  const threshold = deadlineWarningDays().find(days => daysLeft <= days);
+  if (threshold === undefined) return false;
+
+  const remaining = goal.milestones.filter(m => !m.isCompleted).length;
+  const notification = await notify(user, {
+    type: 'deadline_warning',
+    preference: 'goalDeadlines',
+    title: `"${shortTitle(goal.title)}" is due ${describeDaysLeft(daysLeft)}`,
+    body: `Your goal "${goal.title}" is due ${formatLocalDate(goal.deadline, timezone)}. ` +
+      `${remaining} milestone${remaining === 1 ? '' : 's'} left and $${goal.remainingDeposit.toFixed(2)} still in escrow; ` +
+      'whatever is unfinished at the deadline is forfeited.',
+    link: `/goals/${goal._id}`,
+    goalId: goal._id,
+    // The deadline is part of the key so an extended deadline gets fresh warnings
+    dedupeKey: `deadline:${goal._id}:${goal.deadline.getTime()}:${threshold}`
+  });
+
+  return !!notification;
+};
+
+// Nudge about the next open milestone when nothing has happened for a while,
+// then again after every further stalled period
+const remindStalled = async (goal, user, now) => {
+  const milestone = goal.milestones.find(m => !m.isCompleted);
+  if (!milestone || !['pending', 'rejected'].includes(milestone.verificationStatus)) return false;
+
+  const lastProgress = new Date(Math.max(
+    (goal.fundedAt || goal.createdAt).getTime(),
+    milestone.updatedAt ? milestone.updatedAt.getTime() : 0,
+    ...goal.milestones.filter(m => m.completedAt).map(m => m.completedAt.getTime())
+  ));
+
+  const stalledDays = Math.floor((now - lastProgress) / DAY_MS);
+  const period = Math.floor(stalledDays / stalledMilestoneDays());
+  if (period < 1) return false;
+
+  const notification = await notify(user, {
+    type: 'milestone_reminder',
+    preference: 'milestoneReminders',
+    title: `Time for your next step on "${shortTitle(goal.title)}"`,
+    body: `It's been ${stalledDays} days since your last progress. ` +
+      `Next up: ${milestone.description} (${milestone.percentage}% of your deposit).`,
+    link: `/goals/${goal._id}`,
+    goalId: goal._id,
+    milestoneId: milestone._id,
+    dedupeKey: `stalled:${milestone._id}:${lastProgress.getTime()}:${period}`
+  });
+
+  return !!notification;
+};
+
+// Send deadline warnings and stalled-milestone reminders for active goals
+const sendReminders = async (now = new Date()) => {
+  let sent = 0;
+  let lastId = null;
+
+  for (;;) {
+    const query = { status: 'active' };
+    if (lastId) query._id = { $gt: lastId };
+
+    const goals = await Goal.find(query)
+      .populate('userId', 'name email profile verification.emailVerified suspension.isSuspended')
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE);
+    if (goals.length === 0) break;
+
+    for (const goal of goals) {
+      const user = goal.userId;
+      if (!user || user.suspension?.isSuspended) continue;
+
+      // Outside waking hours nothing is lost: dedupe keys let the next run send it
+      const timezone = safeTimezone(user.profile?.timezone);
+      const hour = localHour(now, timezone);
+      if (hour < FIRST_HOUR || hour > LAST_HOUR) continue;
+
+      try {
+        if (await remindDeadline(goal, user, timezone, now)) sent++;
+        if (await remindStalled(goal, user, now)) sent++;
+      } catch (error) {
+        console.error(`Error sending reminders for goal ${goal._id}:`, error);
+      }
+    }
+
+    lastId = goals[goals.length - 1]._id;
+  }
+
+  return sent;
+};
+
+module.exports = {
+  sendReminders
+};
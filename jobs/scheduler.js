@@ -0,0 +1,41 @@
+// Minimal in-process scheduler. Each job runs on a fixed interval and never
+// overlaps with its own previous run.
+const timers = new Map();
+
+const scheduleJob = (name, intervalMs, task) => {
+  if (timers.has(name)) {
+    throw new Error(`Job "${name}" is already scheduled`);
+  }
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error(`❌ Job "${name}" failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  timers.set(name, timer);
+
+  // Run once right away so a restart doesn't delay overdue work
+  run();
+};
+
+const stopAllJobs = () => {
+  for (const timer of timers.values()) {
+    clearInterval(timer);
+  }
+  timers.clear();
+};
+
+module.exports = {
+  scheduleJob,
+  stopAllJobs
+};
@@ -0,0 +1,40 @@
+const User = require('../models/User');
+const { renewOrExpire } = require('../services/subscriptions');
+
+const BATCH_SIZE = 100;
+
+// Renew or expire paid plans whose billing period has ended
+const processSubscriptions = async (now = new Date()) => {
+  let renewed = 0;
+  let expired = 0;
+  let lastId = null;
+
+  for (;;) {
+    const query = { 'subscription.plan': { $ne: 'free' }, 'subscription.endDate': { $lte: now } };
+    if (lastId) query._id = { $gt: lastId };
+
+    const due = await User.find(query).select('email subscription').sort({ _id: 1 }).limit(BATCH_SIZE);
+    if (due.length === 0) break;
+
+    for (const user of due) {
+      try {
+        const outcome = await renewOrExpire(user, now);
+        if (outcome === 'renewed') renewed++;
+        if (outcome === 'expired') {
+          expired++;
+          console.log(`Subscription expired: user ${user._id} moved from ${user.subscription.plan} to free`);
+        }
+      } catch (error) {
+        console.error(`Error processing subscription for user ${user._id}:`, error);
+      }
+    }
+
+    lastId = due[due.length - 1]._id;
+  }
+
+  return { renewed, expired };
+};
+
+module.exports = {
+  processSubscriptions
+};
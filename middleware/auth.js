@@ -0,0 +1,101 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { isSessionActive } = require('../services/sessions');
+
+// Middleware to verify JWT token and that its session hasn't been revoked
+const verifyToken = async (req, res, next) => {
+  const authHeader = req.header('Authorization');
+  const token = authHeader?.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ message: 'Access denied. No token provided.' });
+  }
+
+  let verified;
+  try {
+    verified = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ message: 'Invalid or expired token.' });
+  }
+
+  // Only session-bound access tokens carry a user; other signed tokens (e.g. 2FA challenges) don't
+  if (!verified.user || !verified.sid) {
+    return res.status(401).json({ message: 'Invalid or expired token.' });
+  }
+
+  try {
+    if (!(await isSessionActive(verified.sid))) {
+      return res.status(401).json({ message: 'Session has ended. Please log in again.' });
+    }
+  } catch (error) {
+    console.error('Session check error:', error);
+    return res.status(500).json({ message: 'Error checking session. Please try again.' });
+  }
+
+  req.user = { ...verified.user, sessionId: verified.sid };
+  next();
+};
+
+// Load the caller's role, rejecting suspended accounts
+const loadRole = async (req, res) => {
+  const user = await User.findById(req.user.id).select('role suspension');
+  if (!user) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+
+  if (user.suspension.isSuspended) {
+    res.status(403).json({ message: 'Account suspended' });
+    return null;
+  }
+
+  req.user.role = user.role;
+  return user.role;
+};
+
+// Middleware to restrict a route to users holding one of the given roles.
+// Roles are read from the database so changes apply without a new token.
+// Admins pass every role check.
+const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    const role = await loadRole(req, res);
+    if (!role) return;
+
+    if (role !== 'admin' && !roles.includes(role)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Role check error:', error);
+    res.status(500).json({ message: 'Error checking permissions. Please try again.' });
+  }
+};
+
+// Middleware for routes scoped to a user id in req.params[param]: the user
+// themselves, or anyone holding one of the given roles (admins always).
+const requireSelfOrRole = (param, ...roles) => async (req, res, next) => {
+  if (req.params[param] === req.user.id) {
+    return next();
+  }
+
+  try {
+    const role = await loadRole(req, res);
+    if (!role) return;
+
+    if (role !== 'admin' && !roles.includes(role)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Role check error:', error);
+    res.status(500).json({ message: 'Error checking permissions. Please try again.' });
+  }
+};
+
+module.exports = {
+  verifyToken,
+  requireRole,
+  requireSelfOrRole
+};
@@ -0,0 +1,40 @@
+// In-memory fixed-window rate limiter keyed by client IP. Counts are per
+// process, which is enough for a single instance; use a shared store when
+// running several.
+const rateLimit = ({ windowMs, max, message = 'Too many requests. Please try again later.', keyGenerator = (req) => req.ip }) => {
+  const hits = new Map();
+
+  // Drop expired windows so the map doesn't grow without bound
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  sweeper.unref();
+
+  return (req, res, next) => {
+    const key = keyGenerator(req);
+    const now = Date.now();
+    let entry = hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count++;
+
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message, retryAfter });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  rateLimit
+};
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Record of an administrative action, kept for accountability
+const AuditLogSchema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['user.role_changed', 'user.suspended', 'user.unsuspended', 'wallet.adjusted', 'forfeiture.paid_out'],
+    required: true
+  },
+  targetUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  targetGoalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Goal'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ actorId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
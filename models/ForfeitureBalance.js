@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Running total paid out to a forfeiture destination, in cents. Payouts
+// increment it conditionally inside their transaction, so concurrent payouts
+// to one destination conflict on this document instead of both passing the
+// owed check.
+const ForfeitureBalanceSchema = new mongoose.Schema({
+  destinationId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  paidOutCents: {
+    type: Number,
+    required: true,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ForfeitureBalance', ForfeitureBalanceSchema);
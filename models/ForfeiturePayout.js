@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Money paid out of a forfeiture destination's account to the destination
+// itself, recorded by an admin after making the transfer
+const ForfeiturePayoutSchema = new mongoose.Schema({
+  destinationId: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Payout amount must be positive']
+  },
+  // Bank transfer or receipt reference for reconciliation
+  reference: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  paidAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+ForfeiturePayoutSchema.index({ destinationId: 1, paidAt: -1 });
+
+module.exports = mongoose.model('ForfeiturePayout', ForfeiturePayoutSchema);
@@ -46,6 +46,15 @@ const milestoneSchema = new mongoose.Schema({
     maxlength: 1000,
     trim: true
   },
+  // Metadata for proof uploaded through the file endpoint
+  proofFile: {
+    storageKey: String,
+    hash: String,
+    mimeType: String,
+    size: Number,
+    originalName: String,
+    uploadedAt: Date
+  },
   aiVerification: {
     verified: { 
       type: Boolean, 
@@ -81,9 +90,43 @@ const milestoneSchema = new mongoose.Schema({
   },
   verificationStatus: {
     type: String,
-    enum: ['pending', 'ai_approved', 'self_certified', 'manual_review', 'rejected'],
+    enum: ['pending', 'ai_approved', 'self_certified', 'manual_review', 'reviewer_approved', 'partner_review', 'partner_approved', 'rejected'],
     default: 'pending'
   },
+  // Human reviewer decision for milestones sent to manual_review
+  review: {
+    reviewerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decision: {
+      type: String,
+      enum: ['approved', 'rejected']
+    },
+    notes: {
+      type: String,
+      maxlength: 1000,
+      trim: true
+    },
+    reviewedAt: Date
+  },
+  // Accountability partner decision for milestones sent to partner_review
+  partnerReview: {
+    partnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decision: {
+      type: String,
+      enum: ['approved', 'rejected']
+    },
+    notes: {
+      type: String,
+      maxlength: 1000,
+      trim: true
+    },
+    reviewedAt: Date
+  },
   notes: {
     type: String,
     maxlength: 1000
@@ -119,26 +162,84 @@ const goalSchema = new mongoose.Schema({
   },
   status: { 
     type: String, 
-    enum: ['active', 'completed', 'failed', 'abandoned'], 
+    enum: ['draft', 'active', 'completed', 'failed', 'abandoned'], 
     default: 'active',
     index: true
   },
   deadline: { 
     type: Date,
     validate: {
+      // Only checked when the deadline is set, so overdue goals can still be saved
       validator: function(v) {
-        return !v || v > new Date();
+        return !v || !this.isModified('deadline') || v > new Date();
       },
       message: 'Deadline must be in the future'
     }
   },
+  // Each time the owner pushed the deadline back, and what it cost
+  deadlineExtensions: [{
+    previousDeadline: Date,
+    newDeadline: Date,
+    penaltyAmount: {
+      type: Number,
+      min: 0
+    },
+    extendedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   completedAt: {
     type: Date
   },
   finalizedAt: {
     type: Date
   },
+  // Escrow moved to the forfeiture account: deadline extension penalties plus
+  // whatever remained when the goal was finalized unfinished
+  forfeitedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Escrow returned to the owner when the goal was finalized unfinished
+  finalRefundAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Where forfeited escrow goes (see services/forfeiture). Name and type are a
+  // snapshot of the configured destination at creation.
+  forfeitureDestination: {
+    id: {
+      type: String,
+      default: 'platform'
+    },
+    type: {
+      type: String,
+      enum: ['charity', 'anti_charity', 'platform'],
+      default: 'platform'
+    },
+    name: {
+      type: String,
+      default: 'Platform pool'
+    }
+  },
+  abandonReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
   milestones: [milestoneSchema],
+  // Number of times the draft plan was regenerated with feedback
+  regenerationCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  fundedAt: {
+    type: Date
+  },
   category: {
     type: String,
     enum: ['fitness', 'education', 'career', 'personal', 'financial', 'creative', 'other'],
@@ -162,6 +263,42 @@ const goalSchema = new mongoose.Schema({
   isPublic: {
     type: Boolean,
     default: false
+  },
+  // Who must approve proof before escrow is released:
+  // ai - AI or self-certification (default); partner_only - the partner alone;
+  // ai_then_partner - AI approval confirmed by the partner; either - AI or the partner
+  verificationRule: {
+    type: String,
+    enum: ['ai', 'partner_only', 'ai_then_partner', 'either'],
+    default: 'ai'
+  },
+  partner: {
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    status: {
+      type: String,
+      enum: ['invited', 'accepted', 'declined']
+    },
+    inviteTokenHash: {
+      type: String,
+      select: false
+    },
+    inviteExpires: Date,
+    invitedAt: Date,
+    respondedAt: Date,
+    // Rule requested with the invitation. It becomes the goal's
+    // verificationRule only when the partner accepts.
+    verificationRule: {
+      type: String,
+      enum: ['partner_only', 'ai_then_partner', 'either']
+    }
   }
 }, { 
   timestamps: true 
@@ -171,6 +308,11 @@ const goalSchema = new mongoose.Schema({
 goalSchema.index({ userId: 1, status: 1 });
 goalSchema.index({ userId: 1, createdAt: -1 });
 goalSchema.index({ status: 1, createdAt: -1 });
+goalSchema.index({ status: 1, deadline: 1 });
+goalSchema.index({ 'milestones.verificationStatus': 1, updatedAt: 1 });
+goalSchema.index({ 'partner.userId': 1, status: 1 });
+goalSchema.index({ 'partner.inviteTokenHash': 1 });
+goalSchema.index({ isPublic: 1, status: 1, createdAt: -1 });
 
 // Virtual for calculating total completion percentage
 goalSchema.virtual('completionPercentage').get(function() {
@@ -182,27 +324,45 @@ goalSchema.virtual('completionPercentage').get(function() {
 
 // Virtual for calculating total refunded amount
 goalSchema.virtual('totalRefunded').get(function() {
-  if (!this.milestones) return 0;
+  const finalRefund = this.finalRefundAmount || 0;
+  if (!this.milestones) return finalRefund;
   
   return this.milestones.reduce((total, milestone) => {
     return total + (milestone.releasedAmount || 0);
-  }, 0);
+  }, finalRefund);
 });
 
-// Virtual for calculating remaining deposit
+// Virtual for calculating deposit still held in escrow
 goalSchema.virtual('remainingDeposit').get(function() {
-  return this.depositAmount - this.totalRefunded;
+  return this.depositAmount - this.totalRefunded - (this.forfeitedAmount || 0);
 });
 
-// Pre-save middleware to validate milestone percentages
+// Static method to check a milestone plan. Returns an error message, or null when valid.
+goalSchema.statics.checkMilestonePlan = function(milestones) {
+  if (!milestones || milestones.length < 3 || milestones.length > 8) {
+    return 'A goal must have between 3 and 8 milestones';
+  }
+
+  if (milestones.some(milestone => !(milestone.percentage > 0))) {
+    return 'Every milestone must have a positive percentage';
+  }
+
+  const totalPercentage = milestones.reduce((sum, milestone) => sum + milestone.percentage, 0);
+
+  // Allow small rounding errors (within 1%)
+  if (Math.abs(totalPercentage - 100) > 1) {
+    return 'Milestone percentages must sum to approximately 100%';
+  }
+
+  return null;
+};
+
+// Pre-save middleware to validate the milestone plan, including user edits to drafts
 goalSchema.pre('save', function(next) {
   if (this.milestones && this.milestones.length > 0) {
-    const totalPercentage = this.milestones.reduce((sum, milestone) => sum + milestone.percentage, 0);
-    
-    // Allow small rounding errors (within 1%)
-    if (Math.abs(totalPercentage - 100) > 1) {
-      const error = new Error('Milestone percentages must sum to approximately 100%');
-      return next(error);
+    const message = this.constructor.checkMilestonePlan(this.milestones);
+    if (message) {
+      return next(new Error(message));
     }
   }
   next();
@@ -224,15 +384,31 @@ goalSchema.methods.completeGoal = function() {
   return false;
 };
 
+// Virtual for whether an accountability partner has accepted the invitation
+goalSchema.virtual('hasPartner').get(function() {
+  return !!(this.partner && this.partner.status === 'accepted' && this.partner.userId);
+});
+
+// Static method to count a user's active and draft goals, which is what plan
+// goal limits apply to. excludeGoalId leaves out the goal being funded.
+goalSchema.statics.countOpenGoals = function(userId, { excludeGoalId, session } = {}) {
+  const filter = { userId, status: { $in: ['active', 'draft'] } };
+  if (excludeGoalId) {
+    filter._id = { $ne: excludeGoalId };
+  }
+  return this.countDocuments(filter).session(session || null);
+};
+
 // Static method to find active goals for a user
 goalSchema.statics.findActiveByUser = function(userId) {
   return this.find({ userId, status: 'active' }).sort({ createdAt: -1 });
 };
 
-// Static method to get user goal statistics
+// Static method to get lifetime goal and escrow totals for a user. Drafts are
+// left out since they never held money.
 goalSchema.statics.getUserStats = async function(userId) {
   const stats = await this.aggregate([
-    { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+    { $match: { userId: new mongoose.Types.ObjectId(userId), status: { $ne: 'draft' } } },
     {
       $group: {
         _id: null,
@@ -246,28 +422,49 @@ goalSchema.statics.getUserStats = async function(userId) {
         failedGoals: {
           $sum: { $cond: [{ $eq: ["$status", "failed"] }, 1, 0] }
         },
+        abandonedGoals: {
+          $sum: { $cond: [{ $eq: ["$status", "abandoned"] }, 1, 0] }
+        },
         totalDeposited: { $sum: "$depositAmount" },
+        // Milestone releases plus any refund made when the goal was abandoned
         totalRefunded: {
           $sum: {
-            $reduce: {
-              input: "$milestones",
-              initialValue: 0,
-              in: { $add: ["$value", { $ifNull: ["$this.releasedAmount", 0] }] }
-            }
+            $add: [
+              { $ifNull: ["$finalRefundAmount", 0] },
+              {
+                $reduce: {
+                  input: "$milestones",
+                  initialValue: 0,
+                  in: { $add: ["$$value", { $ifNull: ["$$this.releasedAmount", 0] }] }
+                }
+              }
+            ]
           }
-        }
+        },
+        totalForfeited: { $sum: { $ifNull: ["$forfeitedAmount", 0] } }
       }
-    }
+    },
+    { $project: { _id: 0 } }
   ]);
 
-  return stats.length > 0 ? stats[0] : {
-    totalGoals: 0,
-    activeGoals: 0,
-    completedGoals: 0,
-    failedGoals: 0,
-    totalDeposited: 0,
-    totalRefunded: 0
-  };
+  if (stats.length === 0) {
+    return {
+      totalGoals: 0,
+      activeGoals: 0,
+      completedGoals: 0,
+      failedGoals: 0,
+      abandonedGoals: 0,
+      totalDeposited: 0,
+      totalRefunded: 0,
+      totalForfeited: 0
+    };
+  }
+
+  const [result] = stats;
+  for (const field of ['totalDeposited', 'totalRefunded', 'totalForfeited']) {
+    result[field] = Math.round(result[field] * 100) / 100;
+  }
+  return result;
 };
 
 module.exports = mongoose.model('Goal', goalSchema);
\ No newline at end of file
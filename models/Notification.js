@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// In-app inbox entry. Every notification is stored here; email and push are
+// extra deliveries of the same message depending on the user's preferences.
+const NotificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['milestone_reminder', 'deadline_warning'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  body: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  // Path in the frontend app the notification points to
+  link: String,
+  goalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Goal'
+  },
+  milestoneId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Identifies the event so scheduled jobs never notify about it twice
+  dedupeKey: String,
+  deliveredVia: {
+    type: [String],
+    enum: ['email', 'push']
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+NotificationSchema.index({ userId: 1, createdAt: -1 });
+NotificationSchema.index({ userId: 1, readAt: 1 });
+NotificationSchema.index(
+  { userId: 1, dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Money moving between a wallet and the outside world through the payment
+// provider. Top-ups credit the wallet only once the provider confirms them;
+// withdrawals debit it up front and are reversed if the payout fails.
+const PaymentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['top_up', 'withdrawal'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Payment amount must be positive']
+  },
+  currency: {
+    type: String,
+    default: 'usd'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'settled', 'failed'],
+    default: 'pending'
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // The provider's payment intent or payout id
+  providerPaymentId: String,
+  // Lets the client confirm a top-up intent; returned again for idempotent retries
+  clientSecret: {
+    type: String,
+    select: false
+  },
+  // Payout destination reference, e.g. a tokenized bank account
+  destination: String,
+  // Client-supplied Idempotency-Key so retried requests don't create a second payment
+  idempotencyKey: String,
+  failureReason: {
+    type: String,
+    maxlength: 500
+  },
+  settledAt: Date,
+  failedAt: Date
+}, {
+  timestamps: true
+});
+
+PaymentSchema.index({ userId: 1, createdAt: -1 });
+PaymentSchema.index({ userId: 1, type: 1, status: 1, createdAt: -1 });
+PaymentSchema.index(
+  { providerPaymentId: 1 },
+  { unique: true, partialFilterExpression: { providerPaymentId: { $type: 'string' } } }
+);
+PaymentSchema.index(
+  { userId: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('Payment', PaymentSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// A browser's Web Push subscription, as returned by PushManager.subscribe()
+const PushSubscriptionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  endpoint: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keys: {
+    p256dh: { type: String, required: true },
+    auth: { type: String, required: true }
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  lastUsedAt: Date
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('PushSubscription', PushSubscriptionSchema);
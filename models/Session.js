@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A logged-in device. Access tokens carry the session id so revoking the
+// session ends them; the rotating refresh token is stored only as a hash.
+const SessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hashes of refresh tokens already rotated out; presenting one means the token leaked
+  previousTokenHashes: {
+    type: [String],
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: Date,
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'reuse_detected', 'password_reset', 'admin']
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ip: String
+}, {
+  timestamps: true
+});
+
+// Expired sessions are removed by MongoDB's TTL monitor
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+SessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// Virtual for whether the session can still be used
+SessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+module.exports = mongoose.model('Session', SessionSchema);
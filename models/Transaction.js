@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// Ledger accounts. Every transaction moves money from one account to another,
+// so the sum over all accounts is always zero.
+const ACCOUNTS = {
+  wallet: (userId) => `wallet:${userId}`,
+  escrow: (goalId) => `escrow:${goalId}`,
+  // Money owed to a forfeiture destination, until it is paid out
+  forfeiture: (destinationId) => `forfeiture:${destinationId}`,
+  // Forfeits recorded before goals had a destination; they belong to the platform pool
+  FORFEITURE: 'forfeiture',
+  EXTERNAL: 'external',
+  ADJUSTMENT: 'adjustment',
+  PROMOTIONS: 'promotions'
+};
+
+const TransactionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['escrow_deposit', 'milestone_release', 'refund', 'forfeit', 'top_up', 'withdrawal', 'withdrawal_reversal', 'signup_credit', 'adjustment'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Transaction amount must be positive']
+  },
+  fromAccount: {
+    type: String,
+    required: true
+  },
+  toAccount: {
+    type: String,
+    required: true
+  },
+  // Wallet balance after this transaction, when the user's wallet was involved
+  balanceAfter: {
+    type: Number
+  },
+  goalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Goal'
+  },
+  milestoneId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Admin who made a manual adjustment
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for wallet history and per-account lookups
+TransactionSchema.index({ userId: 1, createdAt: -1 });
+TransactionSchema.index({ goalId: 1, createdAt: 1 });
+TransactionSchema.index({ fromAccount: 1 });
+TransactionSchema.index({ toAccount: 1 });
+
+// Pre-validate middleware to enforce double-entry semantics
+TransactionSchema.pre('validate', function(next) {
+  if (this.fromAccount && this.fromAccount === this.toAccount) {
+    return next(new Error('Transaction must move funds between two different accounts'));
+  }
+  next();
+});
+
+// Static method to page through a user's wallet history
+TransactionSchema.statics.findByUser = function(userId, { page = 1, limit = 20 } = {}) {
+  return this.find({ userId })
+    .sort({ createdAt: -1, _id: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+};
+
+TransactionSchema.statics.ACCOUNTS = ACCOUNTS;
+
+module.exports = mongoose.model('Transaction', TransactionSchema);
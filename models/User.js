@@ -1,5 +1,14 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const Transaction = require('./Transaction');
+const { createToken, hashToken } = require('../utils/tokens');
+const totp = require('../utils/totp');
+const { liveStreak } = require('../services/stats');
+const plans = require('../services/plans');
+
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
+const BACKUP_CODE_COUNT = 10;
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -25,9 +34,20 @@ const UserSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long']
   },
+  role: {
+    type: String,
+    enum: ['user', 'reviewer', 'admin'],
+    default: 'user'
+  },
+  suspension: {
+    isSuspended: { type: Boolean, default: false },
+    reason: { type: String, maxlength: 1000 },
+    suspendedAt: Date,
+    suspendedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
   walletBalance: {
     type: Number,
-    default: 100, // Starting balance for new users
+    default: 0, // Welcome credit (SIGNUP_CREDIT) is added through the ledger at registration
     min: [0, 'Wallet balance cannot be negative'],
     max: [1000000, 'Wallet balance cannot exceed $1,000,000']
   },
@@ -74,7 +94,20 @@ const UserSchema = new mongoose.Schema({
     isActive: {
       type: Boolean,
       default: true
-    }
+    },
+    // Paid plan stays until endDate, then the expiry job moves the user to free
+    cancelAtPeriodEnd: {
+      type: Boolean,
+      default: false
+    },
+    lastPaymentId: String,
+    // Payment provider's saved payment method reference, charged on renewal
+    paymentMethod: String
+  },
+  // Metered plan usage for the current UTC month (YYYY-MM)
+  usage: {
+    month: String,
+    aiVerifications: { type: Number, default: 0 }
   },
   stats: {
     goalsCreated: { type: Number, default: 0 },
@@ -83,6 +116,7 @@ const UserSchema = new mongoose.Schema({
     totalRefunded: { type: Number, default: 0 },
     currentStreak: { type: Number, default: 0 }, // Days of consistent milestone completion
     longestStreak: { type: Number, default: 0 },
+    lastStreakDay: Number, // Local calendar day (days since epoch) of the last completed milestone
     lastActivity: Date
   },
   security: {
@@ -90,7 +124,11 @@ const UserSchema = new mongoose.Schema({
     loginAttempts: { type: Number, default: 0 },
     lockUntil: Date,
     twoFactorEnabled: { type: Boolean, default: false },
-    backupCodes: [String]
+    // TOTP secrets are never loaded unless selected with +security.twoFactorSecret
+    twoFactorSecret: { type: String, select: false },
+    twoFactorPendingSecret: { type: String, select: false },
+    twoFactorLastStep: Number, // Last accepted TOTP step, to reject replayed codes
+    backupCodes: { type: [String], select: false } // SHA-256 hashes of unused codes
   },
   verification: {
     emailVerified: { type: Boolean, default: false },
@@ -170,38 +208,231 @@ UserSchema.methods.resetLoginAttempts = function() {
   });
 };
 
-// Instance method to update wallet balance safely
-UserSchema.methods.updateWalletBalance = function(amount, operation = 'add') {
+// Instance method to issue an email verification token. Only its hash is
+// stored; the returned plain token goes into the emailed link.
+UserSchema.methods.createEmailVerificationToken = function() {
+  const { token, hash } = createToken();
+  this.verification.emailVerificationToken = hash;
+  this.verification.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL);
+  return token;
+};
+
+// Instance method to issue a password reset token, stored hashed like above
+UserSchema.methods.createPasswordResetToken = function() {
+  const { token, hash } = createToken();
+  this.verification.passwordResetToken = hash;
+  this.verification.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL);
+  return token;
+};
+
+// Instance method to check a TOTP code against the enabled secret (select
+// +security.twoFactorSecret first). Each code is accepted only once.
+UserSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.security.twoFactorSecret) return false;
+
+  const step = totp.verifyCode(this.security.twoFactorSecret, code);
+  if (step === null || step <= (this.security.twoFactorLastStep || 0)) {
+    return false;
+  }
+
+  this.security.twoFactorLastStep = step;
+  return true;
+};
+
+// Instance method to replace backup codes. Returns the plain codes, which
+// are shown to the user once; only hashes are stored.
+UserSchema.methods.generateBackupCodes = function() {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = createToken(5).token;
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  this.security.backupCodes = codes.map(hashToken);
+  return codes;
+};
+
+// Instance method to spend a backup code. Removal is atomic so a code can't be used twice.
+UserSchema.methods.useBackupCode = async function(code) {
+  const normalized = String(code || '').trim().toLowerCase();
+  if (!normalized) return false;
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'security.backupCodes': hashToken(normalized) },
+    { $pull: { 'security.backupCodes': hashToken(normalized) } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Instance method to update wallet balance safely. Every change is written
+// to the ledger against a counter account (escrow, external, adjustment...).
+UserSchema.methods.updateWalletBalance = async function(amount, operation = 'add', entry = {}) {
+  const {
+    type = 'adjustment',
+    counterAccount = Transaction.ACCOUNTS.ADJUSTMENT,
+    goalId,
+    milestoneId,
+    description,
+    performedBy,
+    session
+  } = entry;
+
+  if (!(amount > 0)) {
+    throw new Error('Amount must be a positive number');
+  }
+
   const currentBalance = this.walletBalance || 0;
+  const walletAccount = Transaction.ACCOUNTS.wallet(this._id);
+  let fromAccount;
+  let toAccount;
   
   if (operation === 'add') {
-    this.walletBalance = currentBalance + amount;
+    this.walletBalance = Math.round((currentBalance + amount) * 100) / 100;
+    fromAccount = counterAccount;
+    toAccount = walletAccount;
   } else if (operation === 'subtract') {
     if (currentBalance < amount) {
       throw new Error('Insufficient wallet balance');
     }
-    this.walletBalance = currentBalance - amount;
+    this.walletBalance = Math.round((currentBalance - amount) * 100) / 100;
+    fromAccount = walletAccount;
+    toAccount = counterAccount;
   } else {
     throw new Error('Invalid operation. Use "add" or "subtract"');
   }
   
-  return this.save();
+  await this.save({ session });
+  await Transaction.create([{
+    userId: this._id,
+    type,
+    amount,
+    fromAccount,
+    toAccount,
+    balanceAfter: this.walletBalance,
+    goalId,
+    milestoneId,
+    description,
+    performedBy
+  }], { session });
+
+  return this;
 };
 
-// Instance method to check if user can create goals
-UserSchema.methods.canCreateGoal = function(depositAmount) {
-  if (this.walletBalance < depositAmount) {
-    return { canCreate: false, reason: 'Insufficient wallet balance' };
+// Instance method to check the plan's goal limit against the user's open
+// (active and draft) goals, from Goal.countOpenGoals
+UserSchema.methods.checkGoalLimit = function(openGoals) {
+  const limits = plans.getPlanLimits(this.subscription);
+
+  if (limits.goalLimit !== null && openGoals >= limits.goalLimit) {
+    return {
+      canCreate: false,
+      code: 'plan_limit',
+      reason: `${limits.name} plan limit of ${limits.goalLimit} open goals reached. Finish a goal or upgrade to create more.`
+    };
   }
-  
-  // Add subscription-based limits if needed
-  if (this.subscription.plan === 'free' && this.stats.goalsCreated >= 5) {
-    return { canCreate: false, reason: 'Free plan limit reached. Upgrade to create more goals.' };
+
+  return { canCreate: true };
+};
+
+// Instance method to check if user can create goals. code is 'plan_limit'
+// when the subscription doesn't allow it and 'insufficient_balance' otherwise.
+UserSchema.methods.canCreateGoal = function(depositAmount, { openGoals = 0 } = {}) {
+  const limits = plans.getPlanLimits(this.subscription);
+
+  const goalLimit = this.checkGoalLimit(openGoals);
+  if (!goalLimit.canCreate) {
+    return goalLimit;
+  }
+
+  if (limits.maxDeposit !== null && depositAmount > limits.maxDeposit) {
+    return {
+      canCreate: false,
+      code: 'plan_limit',
+      reason: `The ${limits.name} plan allows deposits up to $${limits.maxDeposit.toFixed(2)}. Upgrade to deposit more.`
+    };
+  }
+
+  if (this.walletBalance < depositAmount) {
+    return {
+      canCreate: false,
+      code: 'insufficient_balance',
+      reason: `Insufficient balance. You have $${this.walletBalance.toFixed(2)} but need $${depositAmount.toFixed(2)}`
+    };
   }
   
   return { canCreate: true };
 };
 
+// Static method to use one AI verification from this month's plan quota.
+// Resolves false when the quota is used up. Both updates are conditional, so
+// concurrent submissions can't exceed the limit.
+UserSchema.statics.consumeAiVerification = async function(userId, now = new Date()) {
+  const user = await this.findById(userId).select('subscription');
+  if (!user) return false;
+
+  const limit = plans.getPlanLimits(user.subscription, now).aiVerificationsPerMonth;
+  const month = plans.usageMonth(now);
+
+  // First verification of a new month starts the counter again
+  const reset = await this.updateOne(
+    { _id: userId, 'usage.month': { $ne: month } },
+    { $set: { 'usage.month': month, 'usage.aiVerifications': 1 } }
+  );
+  if (reset.modifiedCount > 0) return limit === null || limit > 0;
+
+  const query = { _id: userId, 'usage.month': month };
+  if (limit !== null) {
+    query['usage.aiVerifications'] = { $lt: limit };
+  }
+  const result = await this.updateOne(query, { $inc: { 'usage.aiVerifications': 1 } });
+  return result.modifiedCount > 0;
+};
+
+// Static method to give back a verification taken by consumeAiVerification
+// when the provider failed to produce a result. now must be the time passed
+// to consumeAiVerification, so a failure across a month boundary can't
+// credit the new month.
+UserSchema.statics.releaseAiVerification = function(userId, now = new Date()) {
+  return this.updateOne(
+    { _id: userId, 'usage.month': plans.usageMonth(now), 'usage.aiVerifications': { $gt: 0 } },
+    { $inc: { 'usage.aiVerifications': -1 } }
+  );
+};
+
+// Static method to consume an email verification token. The token is cleared
+// in the same atomic update, so each link works once.
+UserSchema.statics.consumeEmailVerificationToken = function(token) {
+  return this.findOneAndUpdate(
+    {
+      'verification.emailVerificationToken': hashToken(token),
+      'verification.emailVerificationExpires': { $gt: new Date() }
+    },
+    {
+      $set: { 'verification.emailVerified': true },
+      $unset: {
+        'verification.emailVerificationToken': 1,
+        'verification.emailVerificationExpires': 1
+      }
+    },
+    { new: true }
+  );
+};
+
+// Static method to consume a password reset token, clearing it atomically
+UserSchema.statics.consumePasswordResetToken = function(token) {
+  return this.findOneAndUpdate(
+    {
+      'verification.passwordResetToken': hashToken(token),
+      'verification.passwordResetExpires': { $gt: new Date() }
+    },
+    {
+      $unset: {
+        'verification.passwordResetToken': 1,
+        'verification.passwordResetExpires': 1
+      }
+    },
+    { new: true }
+  );
+};
+
 // Static method to find users with low balances (for notifications)
 UserSchema.statics.findLowBalanceUsers = function(threshold = 10) {
   return this.find({ walletBalance: { $lt: threshold } });
@@ -209,7 +440,7 @@ UserSchema.statics.findLowBalanceUsers = function(threshold = 10) {
 
 // Static method to get user statistics
 UserSchema.statics.getUserStatistics = async function(userId) {
-  const user = await this.findById(userId).select('stats walletBalance');
+  const user = await this.findById(userId).select('stats walletBalance profile.timezone');
   if (!user) return null;
   
   // Get goal statistics from Goal model
@@ -218,6 +449,7 @@ UserSchema.statics.getUserStatistics = async function(userId) {
   
   return {
     ...user.stats.toObject(),
+    currentStreak: liveStreak(user.stats, user.profile.timezone),
     walletBalance: user.walletBalance,
     ...goalStats
   };
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { EVENT_TYPES } = require('../services/events');
+
+// A user-registered endpoint that receives signed lifecycle events
+const WebhookSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  url: {
+    type: String,
+    required: true,
+    maxlength: 2000,
+    validate: {
+      validator: function(v) {
+        return /^https?:\/\/.+/.test(v);
+      },
+      message: 'Webhook URL must be a valid HTTP/HTTPS URL'
+    }
+  },
+  events: {
+    type: [{ type: String, enum: EVENT_TYPES }],
+    validate: {
+      validator: function(v) {
+        return v.length > 0;
+      },
+      message: 'Subscribe to at least one event'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  // Shared secret for the HMAC signature; only shown when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: Date,
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['succeeded', 'failed']
+  }
+}, {
+  timestamps: true
+});
+
+WebhookSchema.index({ userId: 1, isActive: 1, events: 1 });
+
+module.exports = mongoose.model('Webhook', WebhookSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_RETENTION_DAYS = 30;
+
+// One event sent (or being retried) to one webhook
+const WebhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Exact JSON body that is signed and sent on every attempt
+  payload: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6
+  },
+  nextAttemptAt: Date,
+  lastAttemptAt: Date,
+  responseStatus: Number,
+  responseBody: {
+    type: String,
+    maxlength: 2000
+  },
+  error: {
+    type: String,
+    maxlength: 500
+  },
+  durationMs: Number
+}, {
+  timestamps: true
+});
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+// Old deliveries are removed by MongoDB's TTL monitor
+WebhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
@@ -0,0 +1,399 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Goal = require('../models/Goal');
+const AuditLog = require('../models/AuditLog');
+const ForfeiturePayout = require('../models/ForfeiturePayout');
+const wallet = require('../services/wallet');
+const sessions = require('../services/sessions');
+const forfeiture = require('../services/forfeiture');
+const { recordAudit } = require('../services/audit');
+const { withTransaction } = require('../utils/transaction');
+const { escapeRegExp } = require('../utils/regex');
+const { HttpError } = require('../utils/errors');
+const { verifyToken, requireRole } = require('../middleware/auth');
+
+const ROLES = ['user', 'reviewer', 'admin'];
+const MAX_ADJUSTMENT = 10000;
+
+// Fields admins may see; secrets and token hashes stay out
+const USER_FIELDS = 'name email role walletBalance subscription stats suspension verification.emailVerified security.lastLogin security.twoFactorEnabled createdAt updatedAt';
+
+const parsePagination = (query) => ({
+  page: Math.max(parseInt(query.page, 10) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100)
+});
+
+const handleError = (res, error, message) => {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ message: `${message}. Please try again.` });
+};
+
+// 404 for ids that aren't valid ObjectIds instead of a CastError
+const validateObjectId = (req, res, next, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(404).json({ message: 'Not found' });
+  }
+  next();
+};
+
+router.use(verifyToken, requireRole('admin'));
+router.param('userId', validateObjectId);
+router.param('goalId', validateObjectId);
+
+// GET /api/admin/users?q=&role=&suspended=&page=&limit= - Search users by name or email
+router.get('/users', async (req, res) => {
+  const { q, role, suspended } = req.query;
+  const { page, limit } = parsePagination(req.query);
+
+  const filter = {};
+  if (q) {
+    const pattern = new RegExp(escapeRegExp(q), 'i');
+    filter.$or = [{ name: pattern }, { email: pattern }];
+  }
+  if (role && ROLES.includes(role)) {
+    filter.role = role;
+  }
+  if (suspended !== undefined) {
+    filter['suspension.isSuspended'] = suspended === 'true';
+  }
+
+  try {
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select(USER_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      users,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    handleError(res, error, 'Error searching users');
+  }
+});
+
+// GET /api/admin/users/:userId - Account details with goal statistics
+router.get('/users/:userId', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select(USER_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const goalStats = await Goal.getUserStats(req.params.userId);
+
+    res.json({ user, goalStats });
+  } catch (error) {
+    handleError(res, error, 'Error fetching user');
+  }
+});
+
+// GET /api/admin/users/:userId/goals
+router.get('/users/:userId/goals', async (req, res) => {
+  const { page, limit } = parsePagination(req.query);
+
+  try {
+    const [goals, total] = await Promise.all([
+      Goal.find({ userId: req.params.userId })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Goal.countDocuments({ userId: req.params.userId })
+    ]);
+
+    res.json({
+      goals,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    handleError(res, error, 'Error fetching goals');
+  }
+});
+
+// GET /api/admin/goals/:goalId - Any goal, with its owner
+router.get('/goals/:goalId', async (req, res) => {
+  try {
+    const goal = await Goal.findById(req.params.goalId).populate('userId', 'name email');
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    res.json({ goal });
+  } catch (error) {
+    handleError(res, error, 'Error fetching goal');
+  }
+});
+
+// PATCH /api/admin/users/:userId/role
+router.patch('/users/:userId/role', async (req, res) => {
+  const { role, reason } = req.body;
+
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` });
+  }
+
+  if (req.params.userId === req.user.id) {
+    return res.status(400).json({ message: 'You cannot change your own role' });
+  }
+
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await recordAudit({
+      actorId: req.user.id,
+      action: 'user.role_changed',
+      targetUserId: user._id,
+      reason,
+      details: { from: previousRole, to: role }
+    });
+
+    res.json({ message: 'Role updated', user: { id: user.id, role: user.role } });
+  } catch (error) {
+    handleError(res, error, 'Error updating role');
+  }
+});
+
+// POST /api/admin/users/:userId/suspend - Blocks login and ends every session
+router.post('/users/:userId/suspend', async (req, res) => {
+  const { reason } = req.body;
+
+  if (!reason || reason.trim().length < 5) {
+    return res.status(400).json({ message: 'Please provide a reason for the suspension (at least 5 characters)' });
+  }
+
+  if (req.params.userId === req.user.id) {
+    return res.status(400).json({ message: 'You cannot suspend your own account' });
+  }
+
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.suspension.isSuspended) {
+      return res.status(400).json({ message: 'User is already suspended' });
+    }
+
+    user.suspension = {
+      isSuspended: true,
+      reason: reason.trim(),
+      suspendedAt: new Date(),
+      suspendedBy: req.user.id
+    };
+    await user.save();
+    await sessions.revokeAllSessions(user._id, 'admin');
+
+    await recordAudit({
+      actorId: req.user.id,
+      action: 'user.suspended',
+      targetUserId: user._id,
+      reason: reason.trim()
+    });
+
+    res.json({ message: 'User suspended', suspension: user.suspension });
+  } catch (error) {
+    handleError(res, error, 'Error suspending user');
+  }
+});
+
+// POST /api/admin/users/:userId/unsuspend
+router.post('/users/:userId/unsuspend', async (req, res) => {
+  const { reason } = req.body;
+
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.suspension.isSuspended) {
+      return res.status(400).json({ message: 'User is not suspended' });
+    }
+
+    user.suspension = { isSuspended: false };
+    await user.save();
+
+    await recordAudit({
+      actorId: req.user.id,
+      action: 'user.unsuspended',
+      targetUserId: user._id,
+      reason
+    });
+
+    res.json({ message: 'User unsuspended' });
+  } catch (error) {
+    handleError(res, error, 'Error unsuspending user');
+  }
+});
+
+// POST /api/admin/users/:userId/wallet-adjustments - Signed amount; ledger entry and audit log in one transaction
+router.post('/users/:userId/wallet-adjustments', async (req, res) => {
+  const amount = Math.round(Number(req.body.amount) * 100) / 100;
+  const { reason } = req.body;
+
+  if (!amount || Math.abs(amount) > MAX_ADJUSTMENT) {
+    return res.status(400).json({ message: `Amount must be a non-zero number between -$${MAX_ADJUSTMENT} and $${MAX_ADJUSTMENT}` });
+  }
+
+  if (!reason || reason.trim().length < 5) {
+    return res.status(400).json({ message: 'Please provide a reason for the adjustment (at least 5 characters)' });
+  }
+
+  try {
+    const user = await withTransaction(async (session) => {
+      const target = await User.findById(req.params.userId).session(session);
+      if (!target) {
+        throw new HttpError(404, 'User not found');
+      }
+
+      if (amount < 0 && target.walletBalance < -amount) {
+        throw new HttpError(400, `Adjustment would make the balance negative (current balance $${target.walletBalance.toFixed(2)})`);
+      }
+
+      await wallet.adjustBalance(target, amount, {
+        reason: reason.trim(),
+        performedBy: req.user.id,
+        session
+      });
+
+      await recordAudit({
+        actorId: req.user.id,
+        action: 'wallet.adjusted',
+        targetUserId: target._id,
+        reason: reason.trim(),
+        details: { amount, balanceAfter: target.walletBalance }
+      }, { session });
+
+      return target;
+    });
+
+    console.log(`Wallet adjusted by admin ${req.user.id}: user ${user.id} ${amount >= 0 ? '+' : '-'}$${Math.abs(amount)}`);
+
+    res.status(201).json({
+      message: 'Wallet adjusted',
+      amount,
+      walletBalance: user.walletBalance
+    });
+  } catch (error) {
+    handleError(res, error, 'Error adjusting wallet');
+  }
+});
+
+// GET /api/admin/forfeitures - Totals forfeited, paid out and owed per destination
+router.get('/forfeitures', async (req, res) => {
+  try {
+    const destinations = await forfeiture.getForfeitureReport();
+    const totalOwed = Math.round(destinations.reduce((sum, destination) => sum + destination.owed, 0) * 100) / 100;
+
+    res.json({ destinations, totalOwed });
+  } catch (error) {
+    handleError(res, error, 'Error building forfeiture report');
+  }
+});
+
+// GET /api/admin/forfeitures/:destinationId/payouts?page=&limit=
+router.get('/forfeitures/:destinationId/payouts', async (req, res) => {
+  const { page, limit } = parsePagination(req.query);
+  const filter = { destinationId: req.params.destinationId };
+
+  try {
+    const [payouts, total] = await Promise.all([
+      ForfeiturePayout.find(filter)
+        .populate('paidBy', 'name email')
+        .sort({ paidAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ForfeiturePayout.countDocuments(filter)
+    ]);
+
+    res.json({
+      payouts,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    handleError(res, error, 'Error fetching forfeiture payouts');
+  }
+});
+
+// POST /api/admin/forfeitures/:destinationId/payouts - Body: { amount, reference }.
+// Records a transfer already made to the destination.
+router.post('/forfeitures/:destinationId/payouts', async (req, res) => {
+  const amount = Math.round(Number(req.body.amount) * 100) / 100;
+  const { reference } = req.body;
+
+  if (!(amount > 0)) {
+    return res.status(400).json({ message: 'Amount must be a positive number' });
+  }
+
+  if (typeof reference !== 'string' || reference.trim().length < 3 || reference.length > 200) {
+    return res.status(400).json({ message: 'Please provide the transfer reference (3-200 characters)' });
+  }
+
+  try {
+    const { payout, destination } = await forfeiture.recordPayout(req.params.destinationId, amount, {
+      reference: reference.trim(),
+      paidBy: req.user.id
+    });
+
+    console.log(`Forfeiture payout by admin ${req.user.id}: $${amount} to ${destination.id}`);
+
+    res.status(201).json({
+      message: `Payout to ${destination.name} recorded`,
+      payout,
+      destination
+    });
+  } catch (error) {
+    handleError(res, error, 'Error recording forfeiture payout');
+  }
+});
+
+// GET /api/admin/audit-logs?userId=&action=&page=&limit=
+router.get('/audit-logs', async (req, res) => {
+  const { userId, action } = req.query;
+  const { page, limit } = parsePagination(req.query);
+
+  const filter = {};
+  if (userId && mongoose.isValidObjectId(userId)) {
+    filter.targetUserId = userId;
+  }
+  if (action) {
+    filter.action = action;
+  }
+
+  try {
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actorId', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      logs,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    handleError(res, error, 'Error fetching audit logs');
+  }
+});
+
+module.exports = router;
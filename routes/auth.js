@@ -1,8 +1,44 @@
 const express = require('express');
 const router = express.Router();
-const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { verifyToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/accountEmails');
+const sessions = require('../services/sessions');
+const totp = require('../utils/totp');
+const { isValidTimezone } = require('../utils/timezone');
+const { HttpError } = require('../utils/errors');
+const wallet = require('../services/wallet');
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'AI Escrow';
+// Promotional wallet credit for new accounts, in dollars
+const SIGNUP_CREDIT = Math.max(Number(process.env.SIGNUP_CREDIT) || 0, 0);
+
+// Short-lived token proving the password step of a 2FA login succeeded
+const signTwoFactorChallenge = (user) => {
+  return jwt.sign({ purpose: 'two_factor', userId: user.id }, process.env.JWT_SECRET, { expiresIn: '5m' });
+};
+
+// User fields returned to the client
+const toAuthUser = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  walletBalance: user.walletBalance,
+  emailVerified: user.verification.emailVerified,
+  twoFactorEnabled: user.security.twoFactorEnabled
+});
+
+const sendLocked = (res, user) => {
+  const retryAfter = Math.ceil((user.security.lockUntil.getTime() - Date.now()) / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    message: 'Account temporarily locked due to too many failed login attempts',
+    lockedUntil: user.security.lockUntil,
+    retryAfter
+  });
+};
 
 // Input validation middleware
 const validateRegistration = (req, res, next) => {
@@ -33,6 +69,19 @@ const validateLogin = (req, res, next) => {
   next();
 };
 
+// Per-IP throttling for credential and email endpoints
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: 'Too many login attempts from this address. Please try again later.'
+});
+
+const emailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: 'Too many email requests from this address. Please try again later.'
+});
+
 // POST /api/auth/register
 router.post('/register', validateRegistration, async (req, res) => {
   const { name, email, password } = req.body;
@@ -44,41 +93,41 @@ router.post('/register', validateRegistration, async (req, res) => {
       return res.status(400).json({ message: 'An account with this email already exists' });
     }
 
-    // 2. Hash the password
-    const saltRounds = 12; // Increased for better security
-    const passwordHash = await bcrypt.hash(password, saltRounds);
-
-    // 3. Create a new user instance
+    // 2. Create a new user instance (the model's pre-save hook hashes the password)
     user = new User({
       name: name.trim(),
       email: email.toLowerCase(),
-      passwordHash,
-      walletBalance: 100 // Give new users a starting balance for testing
+      passwordHash: password
     });
+    const verificationToken = user.createEmailVerificationToken();
 
-    // 4. Save the user to the database
+    // 3. Save the user to the database
     await user.save();
 
-    // 5. Create and return JWT token immediately after registration
-    const payload = {
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email
+    // 4. Optional promotional credit (SIGNUP_CREDIT); registration succeeds without it
+    if (SIGNUP_CREDIT > 0) {
+      try {
+        await wallet.grantSignupCredit(user, SIGNUP_CREDIT);
+      } catch (creditError) {
+        console.error('Signup credit error:', creditError.message);
       }
-    };
+    }
 
-    const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '24h' });
+    // 5. Send the verification link; the account works without it until funding a goal
+    try {
+      await sendVerificationEmail(user, verificationToken);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError.message);
+    }
+
+    // 6. Start a session immediately after registration
+    const { token, refreshToken } = await sessions.createSession(user, req);
 
     res.status(201).json({ 
       message: 'User registered successfully',
       token,
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        walletBalance: user.walletBalance
-      }
+      refreshToken,
+      user: toAuthUser(user)
     });
 
   } catch (error) {
@@ -88,7 +137,7 @@ router.post('/register', validateRegistration, async (req, res) => {
 });
 
 // POST /api/auth/login
-router.post('/login', validateLogin, async (req, res) => {
+router.post('/login', loginLimiter, validateLogin, async (req, res) => {
   const { email, password } = req.body;
 
   try {
@@ -98,32 +147,43 @@ router.post('/login', validateLogin, async (req, res) => {
       return res.status(400).json({ message: 'Invalid email or password' });
     }
 
-    // 2. Compare the plain password with the hashed password
-    const isMatch = await bcrypt.compare(password, user.passwordHash);
+    // 2. Refuse locked and suspended accounts before checking the password
+    if (user.isLocked) {
+      return sendLocked(res, user);
+    }
+
+    if (user.suspension.isSuspended) {
+      return res.status(403).json({ message: 'This account has been suspended. Please contact support.' });
+    }
+
+    // 3. Compare the plain password with the hashed password
+    const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await user.incLoginAttempts();
       return res.status(400).json({ message: 'Invalid email or password' });
     }
 
-    // 3. Create and sign a JSON Web Token (JWT)
-    const payload = {
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email
-      }
-    };
-    
-    const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '24h' });
+    // 4. With 2FA on, the password only earns a challenge for POST /login/2fa.
+    //    Failed attempts are kept so the second factor can't be brute-forced.
+    if (user.security.twoFactorEnabled) {
+      return res.json({
+        message: 'Enter the code from your authenticator app or a backup code',
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorChallenge(user)
+      });
+    }
+
+    // 5. Clear failed attempts and record security.lastLogin
+    await user.resetLoginAttempts();
+
+    // 6. Start a session: short-lived access token plus rotating refresh token
+    const { token, refreshToken } = await sessions.createSession(user, req);
     
     res.json({ 
       token, 
+      refreshToken,
       message: 'Logged in successfully',
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        walletBalance: user.walletBalance
-      }
+      user: toAuthUser(user)
     });
 
   } catch (error) {
@@ -132,17 +192,72 @@ router.post('/login', validateLogin, async (req, res) => {
   }
 });
 
-// GET /api/auth/verify - Verify token validity
-router.get('/verify', async (req, res) => {
-  const token = req.header('Authorization')?.split(' ')[1];
-  
-  if (!token) {
-    return res.status(401).json({ message: 'No token provided' });
+// POST /api/auth/login/2fa - Second login step: TOTP code or backup code
+router.post('/login/2fa', loginLimiter, async (req, res) => {
+  const { challengeToken, code, backupCode } = req.body;
+
+  if (!challengeToken || (!code && !backupCode)) {
+    return res.status(400).json({ message: 'Challenge token and a code are required' });
   }
 
+  let challenge;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.user.id).select('-passwordHash');
+    challenge = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (error) {
+    return res.status(401).json({ message: 'Login challenge is invalid or has expired. Please log in again.' });
+  }
+
+  if (challenge.purpose !== 'two_factor') {
+    return res.status(401).json({ message: 'Login challenge is invalid or has expired. Please log in again.' });
+  }
+
+  try {
+    const user = await User.findById(challenge.userId).select('+security.twoFactorSecret');
+    if (!user || !user.security.twoFactorEnabled) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired. Please log in again.' });
+    }
+
+    if (user.isLocked) {
+      return sendLocked(res, user);
+    }
+
+    if (user.suspension.isSuspended) {
+      return res.status(403).json({ message: 'This account has been suspended. Please contact support.' });
+    }
+
+    const isValid = code
+      ? user.verifyTwoFactorCode(code)
+      : await user.useBackupCode(backupCode);
+
+    if (!isValid) {
+      await user.incLoginAttempts();
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    if (code) {
+      await user.save();
+    }
+    await user.resetLoginAttempts();
+
+    const { token, refreshToken } = await sessions.createSession(user, req);
+
+    res.json({
+      token,
+      refreshToken,
+      message: 'Logged in successfully',
+      user: toAuthUser(user)
+    });
+
+  } catch (error) {
+    console.error('2FA login error:', error.message);
+    res.status(500).json({ message: 'Server error during login. Please try again.' });
+  }
+});
+
+// GET /api/auth/verify - Verify token validity
+router.get('/verify', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('-passwordHash');
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
@@ -150,15 +265,403 @@ router.get('/verify', async (req, res) => {
 
     res.json({
       valid: true,
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        walletBalance: user.walletBalance
+      user: toAuthUser(user)
+    });
+  } catch (error) {
+    console.error('Token verification error:', error.message);
+    res.status(500).json({ message: 'Server error verifying token. Please try again.' });
+  }
+});
+
+const PROFILE_TOGGLES = {
+  privacy: ['profilePublic', 'shareProgress'],
+  notifications: ['email', 'push', 'milestoneReminders', 'goalDeadlines']
+};
+
+// GET /api/auth/profile
+router.get('/profile', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('name profile');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ name: user.name, profile: user.profile });
+  } catch (error) {
+    console.error('Profile fetch error:', error.message);
+    res.status(500).json({ message: 'Error fetching profile. Please try again.' });
+  }
+});
+
+// PATCH /api/auth/profile - Update name, bio, avatar, timezone and privacy/notification preferences
+router.patch('/profile', verifyToken, async (req, res) => {
+  const { name, bio, avatar, timezone, preferences = {} } = req.body;
+
+  if (name !== undefined && (typeof name !== 'string' || name.trim().length < 2)) {
+    return res.status(400).json({ message: 'Name must be at least 2 characters long' });
+  }
+
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    return res.status(400).json({ message: 'Timezone must be a valid IANA timezone such as Europe/Berlin' });
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (name !== undefined) user.name = name.trim();
+    if (bio !== undefined) user.profile.bio = bio;
+    if (avatar !== undefined) user.profile.avatar = avatar || undefined;
+    if (timezone !== undefined) user.profile.timezone = timezone;
+
+    for (const [group, keys] of Object.entries(PROFILE_TOGGLES)) {
+      for (const key of keys) {
+        const value = preferences[group]?.[key];
+        if (typeof value === 'boolean') {
+          user.profile.preferences[group][key] = value;
+        }
       }
+    }
+
+    await user.save();
+
+    res.json({ message: 'Profile updated', name: user.name, profile: user.profile });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: Object.values(error.errors).map(e => e.message).join(', ') });
+    }
+    console.error('Profile update error:', error.message);
+    res.status(500).json({ message: 'Error updating profile. Please try again.' });
+  }
+});
+
+// POST /api/auth/refresh - Exchange a refresh token for a new access/refresh pair
+router.post('/refresh', loginLimiter, async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ message: 'Refresh token is required' });
+  }
+
+  try {
+    const result = await sessions.rotateRefreshToken(refreshToken);
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken,
+      user: toAuthUser(result.user)
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Token refresh error:', error.message);
+    res.status(500).json({ message: 'Server error refreshing session. Please try again.' });
+  }
+});
+
+// POST /api/auth/logout - End the session a refresh token belongs to (works with an expired access token)
+router.post('/logout', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ message: 'Refresh token is required' });
+  }
+
+  try {
+    await sessions.revokeByRefreshToken(refreshToken, 'logout');
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error.message);
+    res.status(500).json({ message: 'Server error during logout. Please try again.' });
+  }
+});
+
+// POST /api/auth/logout-all - End every session of the current user, on all devices
+router.post('/logout-all', verifyToken, async (req, res) => {
+  try {
+    const result = await sessions.revokeAllSessions(req.user.id, 'logout_all');
+    res.json({ message: 'Logged out of all devices', sessionsRevoked: result.modifiedCount });
+  } catch (error) {
+    console.error('Logout all error:', error.message);
+    res.status(500).json({ message: 'Server error during logout. Please try again.' });
+  }
+});
+
+// GET /api/auth/sessions - Active sessions of the current user
+router.get('/sessions', verifyToken, async (req, res) => {
+  try {
+    const activeSessions = await sessions.listActiveSessions(req.user.id);
+
+    res.json({
+      sessions: activeSessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session.id === req.user.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Session list error:', error.message);
+    res.status(500).json({ message: 'Server error fetching sessions. Please try again.' });
+  }
+});
+
+// DELETE /api/auth/sessions/:sessionId - Log out one device
+router.delete('/sessions/:sessionId', verifyToken, async (req, res) => {
+  try {
+    const activeSessions = await sessions.listActiveSessions(req.user.id);
+    const session = activeSessions.find(s => s.id === req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await sessions.revokeSession(session._id, 'logout');
+    res.json({ message: 'Session ended' });
+  } catch (error) {
+    console.error('Session revoke error:', error.message);
+    res.status(500).json({ message: 'Server error ending session. Please try again.' });
+  }
+});
+
+// POST /api/auth/verify-email
+router.post('/verify-email', async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return res.status(400).json({ message: 'Verification token is required' });
+  }
+
+  try {
+    const user = await User.consumeEmailVerificationToken(token);
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    res.json({ message: 'Email verified successfully', emailVerified: true });
+  } catch (error) {
+    console.error('Email verification error:', error.message);
+    res.status(500).json({ message: 'Server error during email verification. Please try again.' });
+  }
+});
+
+// POST /api/auth/resend-verification
+router.post('/resend-verification', emailLimiter, verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.verification.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, verificationToken);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error.message);
+    res.status(500).json({ message: 'Server error sending verification email. Please try again.' });
+  }
+});
+
+// POST /api/auth/forgot-password
+router.post('/forgot-password', emailLimiter, async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ message: 'Email is required' });
+  }
+
+  // Same response whether or not the account exists, so emails can't be probed
+  const response = { message: 'If an account exists for that email, a password reset link has been sent' };
+
+  try {
+    const user = await User.findOne({ email: String(email).toLowerCase() });
+    if (!user) {
+      return res.json(response);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+    await sendPasswordResetEmail(user, resetToken);
+
+    res.json(response);
+  } catch (error) {
+    console.error('Forgot password error:', error.message);
+    res.status(500).json({ message: 'Server error requesting password reset. Please try again.' });
+  }
+});
+
+// POST /api/auth/reset-password
+router.post('/reset-password', async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token) {
+    return res.status(400).json({ message: 'Reset token is required' });
+  }
+
+  if (!password || password.length < 6) {
+    return res.status(400).json({ message: 'Password must be at least 6 characters long' });
+  }
+
+  try {
+    const user = await User.consumePasswordResetToken(token);
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    // Hashed by the pre-save hook. Proving control of the email also lifts a lockout.
+    user.passwordHash = password;
+    user.security.loginAttempts = 0;
+    user.security.lockUntil = undefined;
+    await user.save();
+
+    // Whoever had access before the reset is logged out everywhere
+    await sessions.revokeAllSessions(user._id, 'password_reset');
+
+    res.json({ message: 'Password reset successfully. You can now log in.' });
+  } catch (error) {
+    console.error('Reset password error:', error.message);
+    res.status(500).json({ message: 'Server error during password reset. Please try again.' });
+  }
+});
+
+// POST /api/auth/2fa/setup - Start enrollment: returns a secret and otpauth URI for the authenticator app
+router.post('/2fa/setup', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.security.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = totp.generateSecret();
+    user.security.twoFactorPendingSecret = secret;
+    await user.save();
+
+    res.json({
+      message: 'Scan the code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl: totp.otpauthUri({ secret, account: user.email, issuer: TWO_FACTOR_ISSUER })
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error.message);
+    res.status(500).json({ message: 'Server error during two-factor setup. Please try again.' });
+  }
+});
+
+// POST /api/auth/2fa/confirm - Finish enrollment with a code from the app; returns backup codes once
+router.post('/2fa/confirm', verifyToken, async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id).select('+security.twoFactorPendingSecret');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.security.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = user.security.twoFactorPendingSecret;
+    const step = secret ? totp.verifyCode(secret, code) : null;
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    user.security.twoFactorSecret = secret;
+    user.security.twoFactorPendingSecret = undefined;
+    user.security.twoFactorLastStep = step;
+    user.security.twoFactorEnabled = true;
+    const backupCodes = user.generateBackupCodes();
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these backup codes somewhere safe.',
+      backupCodes
+    });
+  } catch (error) {
+    console.error('2FA confirm error:', error.message);
+    res.status(500).json({ message: 'Server error during two-factor setup. Please try again.' });
+  }
+});
+
+// POST /api/auth/2fa/disable - Requires the password and a current code
+router.post('/2fa/disable', verifyToken, async (req, res) => {
+  const { password, code } = req.body;
+
+  if (!password || !code) {
+    return res.status(400).json({ message: 'Password and authentication code are required' });
+  }
+
+  try {
+    const user = await User.findById(req.user.id).select('+security.twoFactorSecret');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.security.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await user.comparePassword(password)) || !user.verifyTwoFactorCode(code)) {
+      return res.status(400).json({ message: 'Invalid password or authentication code' });
+    }
+
+    user.security.twoFactorEnabled = false;
+    user.security.twoFactorSecret = undefined;
+    user.security.twoFactorLastStep = undefined;
+    user.security.backupCodes = [];
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error.message);
+    res.status(500).json({ message: 'Server error disabling two-factor authentication. Please try again.' });
+  }
+});
+
+// POST /api/auth/2fa/backup-codes - Replace all backup codes; requires a current code
+router.post('/2fa/backup-codes', verifyToken, async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id).select('+security.twoFactorSecret');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.security.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!user.verifyTwoFactorCode(code)) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const backupCodes = user.generateBackupCodes();
+    await user.save();
+
+    res.json({
+      message: 'New backup codes generated. Previous codes no longer work.',
+      backupCodes
     });
   } catch (error) {
-    res.status(401).json({ message: 'Invalid token' });
+    console.error('Backup code regeneration error:', error.message);
+    res.status(500).json({ message: 'Server error generating backup codes. Please try again.' });
   }
 });
 
@@ -0,0 +1,176 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Goal = require('../models/Goal');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const exportsService = require('../services/exports');
+const { toCsvRow } = require('../utils/csv');
+const { verifyToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+const FORMATS = ['csv', 'json'];
+
+// Exports walk a user's whole history, so keep them occasional
+const exportLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 10,
+  message: 'Too many exports. Please wait a minute and try again.',
+  keyGenerator: (req) => req.user.id
+});
+
+const parseFormat = (req, res) => {
+  const format = String(req.query.format || 'csv');
+  if (!FORMATS.includes(format)) {
+    res.status(400).json({ message: `format must be one of: ${FORMATS.join(', ')}` });
+    return null;
+  }
+  return format;
+};
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Resolves once the response can take more data or the client has gone away
+const waitForDrain = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+// Stream a query cursor as CSV (with a header row of `fields`) or as a JSON
+// array. toRecords maps each document to zero or more records.
+const streamExport = async (res, { cursor, format, filename, fields, toRecords }) => {
+  res.attachment(`${filename}-${new Date().toISOString().slice(0, 10)}.${format}`);
+  res.type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+
+  const write = async (chunk) => {
+    if (!res.write(chunk)) {
+      await waitForDrain(res);
+    }
+  };
+
+  let first = true;
+  try {
+    await write(format === 'csv' ? toCsvRow(fields) : '[');
+
+    for await (const doc of cursor) {
+      if (res.destroyed) break;
+      for (const record of toRecords(doc)) {
+        if (format === 'csv') {
+          await write(toCsvRow(fields.map(field => (Array.isArray(record[field]) ? record[field].join(';') : record[field]))));
+        } else {
+          await write(`${first ? '\n' : ',\n'}${JSON.stringify(record)}`);
+          first = false;
+        }
+      }
+    }
+
+    if (format === 'json') {
+      await write('\n]\n');
+    }
+    res.end();
+  } catch (error) {
+    // Headers are gone, so the only signal left is an incomplete download
+    console.error(`Export ${filename} error:`, error);
+    res.destroy(error);
+  } finally {
+    await cursor.close();
+  }
+};
+
+router.use(verifyToken, exportLimiter);
+
+// GET /api/exports/goals?format=csv|json - One row per goal; JSON includes each goal's milestones
+router.get('/goals', async (req, res) => {
+  const format = parseFormat(req, res);
+  if (!format) return;
+
+  await streamExport(res, {
+    cursor: Goal.find({ userId: req.user.id }).sort({ createdAt: 1 }).cursor(),
+    format,
+    filename: 'goals',
+    fields: exportsService.GOAL_CSV_FIELDS,
+    toRecords: (goal) => [format === 'csv'
+      ? exportsService.toGoalRecord(goal)
+      : { ...exportsService.toGoalRecord(goal), milestones: goal.milestones.map(exportsService.toMilestoneRecord) }]
+  });
+});
+
+// GET /api/exports/milestones?format=csv|json - One row per milestone with its verification outcome
+router.get('/milestones', async (req, res) => {
+  const format = parseFormat(req, res);
+  if (!format) return;
+
+  await streamExport(res, {
+    cursor: Goal.find({ userId: req.user.id }).sort({ createdAt: 1 }).cursor(),
+    format,
+    filename: 'milestones',
+    fields: ['goalId', 'goalTitle', ...exportsService.MILESTONE_CSV_FIELDS],
+    toRecords: (goal) => goal.milestones.map((milestone, index) => ({
+      goalId: String(goal._id),
+      goalTitle: goal.title,
+      ...exportsService.toMilestoneRecord(milestone, index)
+    }))
+  });
+});
+
+// GET /api/exports/transactions?format=csv|json&from=&to= - Wallet and escrow ledger entries
+router.get('/transactions', async (req, res) => {
+  const format = parseFormat(req, res);
+  if (!format) return;
+
+  const filter = { userId: req.user.id };
+  for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+    if (req.query[param] === undefined) continue;
+    const date = parseDate(req.query[param]);
+    if (!date) {
+      return res.status(400).json({ message: `${param} must be a date` });
+    }
+    filter.createdAt = { ...filter.createdAt, [operator]: date };
+  }
+
+  await streamExport(res, {
+    cursor: Transaction.find(filter).sort({ createdAt: 1, _id: 1 }).cursor(),
+    format,
+    filename: 'wallet-history',
+    fields: exportsService.TRANSACTION_CSV_FIELDS,
+    toRecords: (transaction) => [exportsService.toTransactionRecord(transaction)]
+  });
+});
+
+// GET /api/exports/goals/:goalId/certificate - Printable PDF summary of a funded goal
+router.get('/goals/:goalId/certificate', async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.goalId)) {
+    return res.status(404).json({ message: 'Goal not found or access denied' });
+  }
+
+  try {
+    const [goal, user] = await Promise.all([
+      Goal.findOne({ _id: req.params.goalId, userId: req.user.id }),
+      User.findById(req.user.id).select('name profile.timezone')
+    ]);
+    if (!goal || !user) {
+      return res.status(404).json({ message: 'Goal not found or access denied' });
+    }
+
+    if (goal.status === 'draft') {
+      return res.status(400).json({ message: 'Fund the goal before downloading its certificate' });
+    }
+
+    const doc = exportsService.createGoalCertificate(goal, user);
+    res.attachment(`goal-${goal._id}.pdf`);
+    doc.pipe(res);
+  } catch (error) {
+    console.error('Certificate error:', error);
+    res.status(500).json({ message: 'Error creating certificate. Please try again.' });
+  }
+});
+
+module.exports = router;
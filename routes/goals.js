@@ -1,28 +1,185 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Goal = require('../models/Goal');
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
-const axios = require('axios');
+const Notification = require('../models/Notification');
+const multer = require('multer');
+const ai = require('../services/ai');
+const escrow = require('../services/escrow');
+const { generateMilestonePlan } = require('../services/milestones');
+const proofs = require('../services/proofs');
+const forfeiture = require('../services/forfeiture');
+const { publishEvent } = require('../services/events');
+const { sendPartnerInviteEmail } = require('../services/accountEmails');
+const { createToken } = require('../utils/tokens');
+const { escapeRegExp } = require('../utils/regex');
+const { encodeCursor, decodeCursor, cursorFilter } = require('../utils/cursor');
+const { HttpError } = require('../utils/errors');
+const { verifyToken, requireSelfOrRole } = require('../middleware/auth');
 
-// Enhanced middleware to verify JWT token
-const verifyToken = (req, res, next) => {
-    const authHeader = req.header('Authorization');
-    const token = authHeader?.split(' ')[1];
-    
-    if (!token) {
-        return res.status(401).json({ message: 'Access denied. No token provided.' });
+// Proof uploads are held in memory until validated, hashed and stored. Unlike
+// multer's memoryStorage, this stops reading as soon as a file passes the size
+// limit for the milestone's proof type (set by loadProofMilestone), so a text
+// proof can't buffer the 100MB video cap.
+const proofMemoryStorage = {
+    _handleFile(req, file, cb) {
+        const requiredProofType = req.requiredProofType || 'any';
+        const maxSize = proofs.maxSizeFor(file.mimetype, requiredProofType);
+        if (!maxSize) {
+            file.stream.resume();
+            return cb(new HttpError(415, `File type ${file.mimetype} is not accepted for ${requiredProofType} proof`));
+        }
+
+        const chunks = [];
+        let size = 0;
+        let done = false;
+        file.stream.on('data', (chunk) => {
+            if (done) return;
+            size += chunk.length;
+            if (size > maxSize) {
+                done = true;
+                file.stream.resume();
+                return cb(new HttpError(413, `File is too large. Maximum size for this proof type is ${maxSize / (1024 * 1024)}MB`));
+            }
+            chunks.push(chunk);
+        });
+        file.stream.on('error', (err) => {
+            if (done) return;
+            done = true;
+            cb(err);
+        });
+        file.stream.on('end', () => {
+            if (done) return;
+            done = true;
+            cb(null, { buffer: Buffer.concat(chunks), size });
+        });
+    },
+    _removeFile(req, file, cb) {
+        delete file.buffer;
+        cb(null);
+    }
+};
+
+const upload = multer({
+    storage: proofMemoryStorage,
+    limits: { fileSize: proofs.MAX_PROOF_SIZE, files: 1 }
+});
+
+// Single-file upload middleware that turns multer and size/type errors into 4xx responses
+const uploadProofFile = (req, res, next) => {
+    upload.single('file')(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            return res.status(status).json({ message: `Upload error: ${err.message}` });
+        }
+        if (err instanceof HttpError) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        next(err);
+    });
+};
+
+// The goal and open milestone a proof file is being uploaded for
+const findProofMilestone = async (goalId, milestoneId, userId) => {
+    const goal = await Goal.findOne({ _id: goalId, userId });
+    if (!goal) {
+        throw new HttpError(404, 'Goal not found or access denied');
+    }
+    if (goal.status !== 'active') {
+        throw new HttpError(400, 'Cannot upload proof for inactive goals');
+    }
+
+    const milestone = goal.milestones.id(milestoneId);
+    if (!milestone) {
+        throw new HttpError(404, 'Milestone not found');
+    }
+    if (milestone.isCompleted) {
+        throw new HttpError(400, 'This milestone is already completed');
+    }
+
+    return { goal, milestone };
+};
+
+// Check the upload target before reading the body, so the size limit matches the milestone's proof type
+const loadProofMilestone = async (req, res, next) => {
+    const { goalId, milestoneId } = req.params;
+    if (!mongoose.isValidObjectId(goalId) || !mongoose.isValidObjectId(milestoneId)) {
+        return res.status(404).json({ message: 'Goal not found or access denied' });
     }
 
     try {
-        const verified = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = verified.user;
+        const { milestone } = await findProofMilestone(goalId, milestoneId, req.user.id);
+        req.requiredProofType = milestone.requiredProofType;
         next();
-    } catch (err) {
-        return res.status(401).json({ message: 'Invalid or expired token.' });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Proof upload error:', error);
+        res.status(500).json({ message: 'Error uploading proof. Please try again.' });
     }
 };
 
+const MAX_REGENERATIONS = 5;
+const GOAL_CATEGORIES = Goal.schema.path('category').enumValues;
+const GOAL_DIFFICULTIES = Goal.schema.path('difficulty').enumValues;
+const MAX_TAGS = 10;
+const MAX_DEADLINE_DAYS = 730;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PARTNER_RULES = ['partner_only', 'ai_then_partner', 'either'];
+const PARTNER_INVITE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// A deadline in the future and at most MAX_DEADLINE_DAYS away, or null
+const parseDeadline = (value, now = new Date()) => {
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+    const deadline = new Date(value);
+    if (Number.isNaN(deadline.getTime())) return null;
+    if (deadline <= now || deadline - now > MAX_DEADLINE_DAYS * DAY_MS) return null;
+    return deadline;
+};
+
+// Check the optional goal details shared by creation and edits. Returns an
+// error message, or null when valid.
+const checkGoalDetails = (body) => {
+    const { description, deadline, category, difficulty, estimatedDuration, tags, isPublic, forfeitureDestination } = body;
+
+    if (description !== undefined && (typeof description !== 'string' || description.trim().length > 2000)) {
+        return 'Description must be text of at most 2000 characters';
+    }
+
+    if (deadline !== undefined && deadline !== null && !parseDeadline(deadline)) {
+        return `Deadline must be a future date within ${MAX_DEADLINE_DAYS} days`;
+    }
+
+    if (category !== undefined && !GOAL_CATEGORIES.includes(category)) {
+        return `Category must be one of: ${GOAL_CATEGORIES.join(', ')}`;
+    }
+
+    if (difficulty !== undefined && !GOAL_DIFFICULTIES.includes(difficulty)) {
+        return `Difficulty must be one of: ${GOAL_DIFFICULTIES.join(', ')}`;
+    }
+
+    if (estimatedDuration !== undefined && (!Number.isInteger(estimatedDuration) || estimatedDuration < 1 || estimatedDuration > 365)) {
+        return 'Estimated duration must be a whole number of days between 1 and 365';
+    }
+
+    if (tags !== undefined && (!Array.isArray(tags) || tags.length > MAX_TAGS ||
+        tags.some(tag => typeof tag !== 'string' || !tag.trim() || tag.length > 30))) {
+        return `Tags must be a list of up to ${MAX_TAGS} words of at most 30 characters`;
+    }
+
+    if (isPublic !== undefined && typeof isPublic !== 'boolean') {
+        return 'isPublic must be true or false';
+    }
+
+    if (forfeitureDestination !== undefined && !forfeiture.findDestination(forfeitureDestination)) {
+        return 'Unknown forfeiture destination. See GET /api/goals/forfeiture-destinations for the options.';
+    }
+
+    return null;
+};
+
 // Input validation for goal creation
 const validateGoalCreation = (req, res, next) => {
     const { title, depositAmount } = req.body;
@@ -34,398 +191,284 @@ const validateGoalCreation = (req, res, next) => {
     if (!depositAmount || depositAmount < 1 || depositAmount > 10000) {
         return res.status(400).json({ message: 'Deposit amount must be between $1 and $10,000' });
     }
+
+    const detailsError = checkGoalDetails(req.body);
+    if (detailsError) {
+        return res.status(400).json({ message: detailsError });
+    }
     
     next();
 };
 
-// Enhanced Gemini API function using axios
-const callGeminiAPI = async (prompt) => {
-    const apiKey = process.env.GEMINI_API_KEY;
-    
-    if (!apiKey) {
-        throw new Error('Gemini API key is not configured');
-    }
-    
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent?key=${apiKey}`;
-
-    const payload = {
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-            responseMimeType: "application/json",
-            responseSchema: {
-                type: "OBJECT",
-                properties: {
-                    "milestones": {
-                        "type": "ARRAY",
-                        "items": {
-                            "type": "OBJECT",
-                            "properties": {
-                                "description": { 
-                                    "type": "STRING",
-                                    "minLength": 20,
-                                    "maxLength": 400
-                                },
-                                "verificationCriteria": {
-                                    "type": "STRING",
-                                    "minLength": 20,
-                                    "maxLength": 400
-                                },
-                                "requiredProofType": {
-                                    "type": "STRING",
-                                    "enum": ["image", "video", "document", "text", "any"]
-                                },
-                                "percentage": { 
-                                    "type": "NUMBER",
-                                    "minimum": 5,
-                                    "maximum": 50
-                                }
-                            },
-                            "required": ["description", "verificationCriteria", "requiredProofType", "percentage"]
-                        },
-                        "minItems": 4,
-                        "maxItems": 6
-                    }
-                },
-                "required": ["milestones"]
-            },
-            "temperature": 0.8,
-            "topP": 0.9,
-            "topK": 40
-        },
-    };
+const normalizeTags = (tags) => [...new Set(tags.map(tag => tag.trim().toLowerCase()))];
+
+// Optional goal details accepted on creation
+const pickGoalDetails = ({ description, deadline, category, difficulty, estimatedDuration, tags, isPublic, forfeitureDestination }) => ({
+    description: description?.trim(),
+    deadline: deadline ? parseDeadline(deadline) : undefined,
+    category,
+    difficulty,
+    estimatedDuration,
+    tags: tags ? normalizeTags(tags) : undefined,
+    isPublic: isPublic === true,
+    forfeitureDestination: forfeiture.toGoalDestination(forfeiture.findDestination(forfeitureDestination) || forfeiture.PLATFORM_POOL)
+});
+
+// GET /api/goals/forfeiture-destinations - Where a failed or abandoned goal's deposit can go
+router.get('/forfeiture-destinations', verifyToken, (req, res) => {
+    res.json({ destinations: forfeiture.getDestinations(), default: forfeiture.PLATFORM_POOL.id });
+});
+
+// POST /api/goals/create
+router.post('/create', verifyToken, validateGoalCreation, async (req, res) => {
+    const { title, depositAmount } = req.body;
+    const userId = req.user.id;
 
     try {
-        console.log('Sending request to Gemini API...');
-        
-        const response = await axios.post(apiUrl, payload, {
-            headers: { 
-                'Content-Type': 'application/json',
-                'User-Agent': 'AI-Escrow-App/1.0'
-            },
-            timeout: 30000
-        });
-        
-        console.log('Gemini API Response Status:', response.status);
-        const result = response.data;
-        
-        const contentPart = result?.candidates?.[0]?.content?.parts?.[0]?.text;
-        
-        if (!contentPart) {
-            console.error('Empty response from Gemini API:', result);
-            throw new Error("Gemini API response was empty or malformed");
-        }
-        
-        const parsedContent = JSON.parse(contentPart);
-        
-        if (!parsedContent.milestones || !Array.isArray(parsedContent.milestones)) {
-            throw new Error("Invalid milestone structure in AI response");
-        }
-        
-        const totalPercentage = parsedContent.milestones.reduce((sum, milestone) => sum + milestone.percentage, 0);
-        console.log('Total percentage:', totalPercentage);
-        
-        if (Math.abs(totalPercentage - 100) > 5) {
-            console.log('Normalizing percentages from', totalPercentage, 'to 100');
-            const factor = 100 / totalPercentage;
-            parsedContent.milestones.forEach(milestone => {
-                milestone.percentage = Math.round(milestone.percentage * factor * 100) / 100;
-            });
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
         }
-        
-        parsedContent.milestones.forEach((milestone, index) => {
-            if (!milestone.description || milestone.description.length < 20) {
-                throw new Error(`Milestone ${index + 1} description is too short or empty`);
-            }
-            if (milestone.percentage < 5 || milestone.percentage > 50) {
-                throw new Error(`Milestone ${index + 1} percentage is out of valid range`);
-            }
+
+        // Fail fast before spending an AI call; funding re-checks inside the transaction
+        const openGoals = await Goal.countOpenGoals(userId);
+        escrow.assertCanFund(user, depositAmount, { openGoals });
+
+        const milestones = await generateMilestonePlan(title);
+
+        const { goal: newGoal, user: fundedUser } = await escrow.fundGoal(userId, {
+            title: title.trim(),
+            depositAmount,
+            milestones,
+            ...pickGoalDetails(req.body)
         });
-        
-        console.log('Successfully validated AI-generated milestones');
-        return parsedContent;
-        
+
+        console.log(`Goal created: ${title} for user ${userId}, $${depositAmount} deposited`);
+
+        res.status(201).json({
+            message: 'Goal created successfully!',
+            goal: newGoal,
+            remainingBalance: fundedUser.walletBalance
+        });
+
     } catch (error) {
-        if (error.response) {
-            console.error("Gemini API Response Error:", error.response.status, error.response.data);
-            throw new Error(`Gemini API error (${error.response.status}): ${JSON.stringify(error.response.data)}`);
-        } else if (error.request) {
-            console.error("Gemini API Network Error:", error.message);
-            throw new Error(`Network error calling Gemini API: ${error.message}`);
-        } else {
-            console.error("Gemini API Error Details:", error.message);
-            throw error;
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ message: error.message });
         }
+        console.error('Goal creation error:', error);
+        res.status(500).json({ message: 'Error creating goal. Please try again.' });
     }
-};
+});
 
-// Function to verify milestone completion using Gemini API
-const verifyMilestoneWithAI = async (milestone, proofUrl, proofDescription) => {
-    const apiKey = process.env.GEMINI_API_KEY;
-    
-    if (!apiKey) {
-        throw new Error('Gemini API key is not configured');
+// Load one of the user's goals that is still in the draft stage
+const findDraft = async (goalId, userId) => {
+    const goal = await Goal.findOne({ _id: goalId, userId });
+    if (!goal) {
+        throw new HttpError(404, 'Goal not found or access denied');
     }
-    
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent?key=${apiKey}`;
-
-    const prompt = `You are an AI verification assistant for a goal achievement platform. 
-
-MILESTONE TO VERIFY:
-"${milestone.description}"
-
-VERIFICATION CRITERIA:
-"${milestone.verificationCriteria}"
-
-USER'S PROOF:
-${proofDescription || 'User provided visual proof (see image/video)'}
-
-YOUR TASK:
-Analyze whether the proof provided demonstrates genuine completion of this milestone according to the verification criteria.
-
-Respond with a JSON object containing:
-{
-  "verified": true/false (whether proof is sufficient),
-  "confidence": 0-100 (confidence level in your assessment),
-  "analysis": "Brief explanation of your decision (2-3 sentences)",
-  "suggestions": "If not verified, what additional proof would help"
-}
-
-Be strict but fair. Look for:
-1. Does the proof match what was requested?
-2. Is there clear evidence of completion?
-3. Could this be easily faked or misrepresented?
-4. Does it show genuine effort and achievement?`;
-
-    const payload = {
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-            responseMimeType: "application/json",
-            responseSchema: {
-                type: "OBJECT",
-                properties: {
-                    verified: { type: "BOOLEAN" },
-                    confidence: { type: "NUMBER", minimum: 0, maximum: 100 },
-                    analysis: { type: "STRING" },
-                    suggestions: { type: "STRING" }
-                },
-                required: ["verified", "confidence", "analysis"]
-            },
-            temperature: 0.3
-        }
-    };
 
-    try {
-        console.log('Sending milestone verification request to Gemini API...');
-        
-        const response = await axios.post(apiUrl, payload, {
-            headers: { 
-                'Content-Type': 'application/json'
-            },
-            timeout: 30000
-        });
-        
-        const result = response.data;
-        const contentPart = result?.candidates?.[0]?.content?.parts?.[0]?.text;
-        
-        if (!contentPart) {
-            throw new Error("AI verification response was empty");
-        }
-        
-        const verification = JSON.parse(contentPart);
-        console.log('AI Verification Result:', verification);
-        
-        return verification;
-        
-    } catch (error) {
-        console.error("AI Verification Error:", error.message);
-        return {
-            verified: false,
-            confidence: 0,
-            analysis: "AI verification service unavailable. Please use self-certification.",
-            suggestions: "Try submitting again later or use self-certification option."
-        };
+    if (goal.status !== 'draft') {
+        throw new HttpError(400, 'Milestones can only be changed while the goal is a draft');
     }
+
+    return goal;
 };
 
-// POST /api/goals/create
-router.post('/create', verifyToken, validateGoalCreation, async (req, res) => {
+// POST /api/goals/drafts - Generate a milestone plan without moving any money
+router.post('/drafts', verifyToken, validateGoalCreation, async (req, res) => {
     const { title, depositAmount } = req.body;
-    const userId = req.user.id;
 
     try {
-        const user = await User.findById(userId);
+        const [user, openGoals] = await Promise.all([
+            User.findById(req.user.id).select('subscription'),
+            Goal.countOpenGoals(req.user.id)
+        ]);
         if (!user) {
             return res.status(404).json({ message: 'User not found' });
         }
-        
-        if (user.walletBalance < depositAmount) {
-            return res.status(400).json({ 
-                message: `Insufficient balance. You have $${user.walletBalance.toFixed(2)} but need $${depositAmount.toFixed(2)}` 
-            });
+
+        // Drafts count toward the plan's goal limit too
+        const goalLimit = user.checkGoalLimit(openGoals);
+        if (!goalLimit.canCreate) {
+            return res.status(403).json({ message: goalLimit.reason });
         }
 
-        const enhancedPrompt = `You are an expert goal-setting coach. Analyze this specific goal: "${title}"
+        const milestones = await generateMilestonePlan(title);
 
-Create 4-6 SMART milestones that are:
-- SPECIFIC to this exact goal (not generic)
-- MEASURABLE with clear success criteria
-- ACTIONABLE with concrete steps
-- RELEVANT to achieving the stated goal
-- TIME-BOUND when appropriate
+        const goal = new Goal({
+            userId: req.user.id,
+            title: title.trim(),
+            depositAmount,
+            milestones,
+            ...pickGoalDetails(req.body),
+            status: 'draft'
+        });
+        await goal.save();
 
-IMPORTANT: For each milestone, also provide:
-1. A clear description of what needs to be accomplished
-2. Specific verification criteria that explain EXACTLY what evidence/proof would demonstrate completion
-3. The type of proof needed (image, video, document, text, or any)
+        res.status(201).json({
+            message: 'Draft created. Review the milestones, then fund the goal to start.',
+            goal
+        });
 
-Examples:
-- Fitness goal: "Complete 20 push-ups in one set" → Verification: "Video showing you performing 20 consecutive push-ups with proper form" → Proof type: video
-- Learning goal: "Read Chapter 1-3 of [Book]" → Verification: "Written summary of key concepts from each chapter (minimum 200 words)" → Proof type: text
-- Business goal: "Create logo and brand guidelines" → Verification: "PDF document showing final logo designs and brand color palette" → Proof type: document
+    } catch (error) {
+        console.error('Draft creation error:', error);
+        res.status(500).json({ message: 'Error creating draft goal. Please try again.' });
+    }
+});
 
-Assign percentage weights based on difficulty and importance (must total 100%).
+// PUT /api/goals/:goalId/milestones - Replace a draft's plan; array order is the new milestone order
+router.put('/:goalId/milestones', verifyToken, async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.goalId)) {
+        return res.status(404).json({ message: 'Goal not found or access denied' });
+    }
 
-Respond with a JSON object containing a 'milestones' array where each milestone has:
-{
-  "description": "What to do",
-  "verificationCriteria": "Exactly what proof/evidence is needed",
-  "requiredProofType": "image|video|document|text|any",
-  "percentage": number
-}`;
-        
-        let milestones;
-        try {
-            console.log('Calling Gemini API for goal:', title);
-            const aiResponse = await callGeminiAPI(enhancedPrompt);
-            milestones = aiResponse.milestones;
-            console.log('Generated milestones:', milestones);
-            
-            if (!milestones || milestones.length === 0) {
-                throw new Error('Empty milestones response');
-            }
-            
-            milestones = milestones.map(milestone => ({
-                ...milestone,
-                verificationCriteria: milestone.verificationCriteria || 'Provide evidence showing completion of this milestone',
-                requiredProofType: milestone.requiredProofType || 'any'
-            }));
-            
-        } catch (aiError) {
-            console.error('AI generation failed:', aiError.message);
-            
-            const goalLower = title.toLowerCase();
-            
-            if (goalLower.includes('sleep') || goalLower.includes('wake') || goalLower.includes('get up') || goalLower.includes('morning')) {
-                milestones = [
-                    { 
-                        description: `Establish consistent bedtime routine and set optimal sleep schedule for "${title}"`, 
-                        percentage: 25,
-                        verificationCriteria: 'Share your written sleep schedule and bedtime routine plan with specific times',
-                        requiredProofType: 'text'
-                    },
-                    { 
-                        description: `Successfully wake up at target time for 7 consecutive days without snoozing`, 
-                        percentage: 30,
-                        verificationCriteria: 'Provide 7 photos showing your alarm/phone display at wake-up time',
-                        requiredProofType: 'image'
-                    },
-                    { 
-                        description: `Maintain consistent wake-up time for 3 weeks and optimize sleep environment`, 
-                        percentage: 25,
-                        verificationCriteria: 'Submit sleep log showing 21 days of consistent wake times',
-                        requiredProofType: 'text'
-                    },
-                    { 
-                        description: `Achieve 30-day streak and establish sustainable habit`, 
-                        percentage: 20,
-                        verificationCriteria: 'Provide sleep tracking data showing 30-day consistency',
-                        requiredProofType: 'any'
-                    }
-                ];
-            } else if (goalLower.includes('weight') || goalLower.includes('kg') || goalLower.includes('fitness')) {
-                milestones = [
-                    { 
-                        description: `Create detailed workout schedule and nutrition plan for "${title}"`, 
-                        percentage: 20,
-                        verificationCriteria: 'Share weekly workout plan and meal plan document',
-                        requiredProofType: 'document'
-                    },
-                    { 
-                        description: `Complete first month of consistent exercise and dietary changes`, 
-                        percentage: 25,
-                        verificationCriteria: 'Provide workout log showing 12+ workouts, plus progress photos',
-                        requiredProofType: 'image'
-                    },
-                    { 
-                        description: `Reach 50% progress milestone and adjust plan based on results`, 
-                        percentage: 30,
-                        verificationCriteria: 'Share progress photos, measurements, and updated plan',
-                        requiredProofType: 'image'
-                    },
-                    { 
-                        description: `Achieve final target and establish maintenance routine`, 
-                        percentage: 25,
-                        verificationCriteria: 'Provide final progress photos and weight measurements',
-                        requiredProofType: 'image'
-                    }
-                ];
-            } else {
-                milestones = [
-                    { 
-                        description: `Define action plan and gather resources for "${title}"`, 
-                        percentage: 20,
-                        verificationCriteria: 'Share your detailed action plan',
-                        requiredProofType: 'text'
-                    },
-                    { 
-                        description: `Execute first phase with consistent actions`, 
-                        percentage: 30,
-                        verificationCriteria: 'Provide evidence of actions taken',
-                        requiredProofType: 'any'
-                    },
-                    { 
-                        description: `Evaluate progress and optimize approach`, 
-                        percentage: 25,
-                        verificationCriteria: 'Submit progress report with optimizations',
-                        requiredProofType: 'text'
-                    },
-                    { 
-                        description: `Complete final phase and achieve "${title}"`, 
-                        percentage: 25,
-                        verificationCriteria: 'Provide proof of completion',
-                        requiredProofType: 'any'
-                    }
-                ];
+    const { milestones } = req.body;
+
+    if (!Array.isArray(milestones)) {
+        return res.status(400).json({ message: 'Please provide the full list of milestones' });
+    }
+
+    const plan = milestones.map(milestone => ({
+        _id: milestone._id || milestone.id,
+        description: milestone.description,
+        percentage: Number(milestone.percentage),
+        verificationCriteria: milestone.verificationCriteria,
+        requiredProofType: milestone.requiredProofType || 'any'
+    }));
+
+    const planError = Goal.checkMilestonePlan(plan);
+    if (planError) {
+        return res.status(400).json({ message: planError });
+    }
+
+    try {
+        const goal = await findDraft(req.params.goalId, req.user.id);
+
+        // Keep ids of existing milestones so clients can track them across edits
+        plan.forEach(milestone => {
+            if (!milestone._id || !goal.milestones.id(milestone._id)) {
+                delete milestone._id;
             }
+        });
+
+        goal.milestones = plan;
+        await goal.save();
+
+        res.json({ message: 'Milestone plan updated', goal });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ message: error.message });
         }
-        
-        if (!milestones || milestones.length < 3 || milestones.length > 8) {
-            throw new Error('Invalid number of milestones generated');
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
         }
+        console.error('Milestone plan update error:', error);
+        res.status(500).json({ message: 'Error updating milestones. Please try again.' });
+    }
+});
 
-        const newGoal = new Goal({
-            userId,
-            title: title.trim(),
-            depositAmount,
-            milestones,
-            status: 'active'
+// POST /api/goals/:goalId/regenerate - Ask for a new plan, optionally with feedback on the current one
+router.post('/:goalId/regenerate', verifyToken, async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.goalId)) {
+        return res.status(404).json({ message: 'Goal not found or access denied' });
+    }
+
+    const { feedback } = req.body;
+
+    if (feedback && feedback.length > 1000) {
+        return res.status(400).json({ message: 'Feedback cannot exceed 1000 characters' });
+    }
+
+    try {
+        const goal = await findDraft(req.params.goalId, req.user.id);
+
+        if (goal.regenerationCount >= MAX_REGENERATIONS) {
+            return res.status(429).json({ message: `A plan can be regenerated at most ${MAX_REGENERATIONS} times. Edit the milestones instead.` });
+        }
+
+        goal.milestones = await generateMilestonePlan(goal.title, {
+            feedback: feedback && feedback.trim(),
+            previousMilestones: goal.milestones
         });
-        await newGoal.save();
+        goal.regenerationCount += 1;
+        await goal.save();
 
-        user.walletBalance -= depositAmount;
-        await user.save();
+        res.json({ message: 'Milestone plan regenerated', goal });
 
-        console.log(`Goal created: ${title} for user ${userId}, $${depositAmount} deposited`);
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Milestone regeneration error:', error);
+        res.status(500).json({ message: 'Error regenerating milestones. Please try again.' });
+    }
+});
 
-        res.status(201).json({
-            message: 'Goal created successfully!',
-            goal: newGoal,
+// POST /api/goals/:goalId/fund - Move the deposit into escrow and start the goal
+router.post('/:goalId/fund', verifyToken, async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.goalId)) {
+        return res.status(404).json({ message: 'Goal not found or access denied' });
+    }
+
+    try {
+        const { goal, user } = await escrow.fundDraft(req.params.goalId, req.user.id);
+
+        console.log(`Draft funded: ${goal.title} for user ${req.user.id}, $${goal.depositAmount} deposited`);
+
+        res.json({
+            message: 'Goal funded and started!',
+            goal,
             remainingBalance: user.walletBalance
         });
 
     } catch (error) {
-        console.error('Goal creation error:', error);
-        res.status(500).json({ message: 'Error creating goal. Please try again.' });
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Goal funding error:', error);
+        res.status(500).json({ message: 'Error funding goal. Please try again.' });
+    }
+});
+
+// POST /api/goals/:goalId/milestones/:milestoneId/proof-file (multipart, field "file")
+router.post('/:goalId/milestones/:milestoneId/proof-file', verifyToken, loadProofMilestone, uploadProofFile, async (req, res) => {
+    const { goalId, milestoneId } = req.params;
+
+    if (!req.file) {
+        return res.status(400).json({ message: 'Please attach a proof file in the "file" field' });
+    }
+
+    try {
+        // Looked up again: the goal may have changed while the file was uploading
+        const { goal, milestone } = await findProofMilestone(goalId, milestoneId, req.user.id);
+
+        proofs.validateProofFile(req.file, milestone.requiredProofType);
+        const stored = await proofs.storeProofFile(req.file, goal);
+
+        milestone.proofUrl = stored.url;
+        milestone.proofFile = {
+            storageKey: stored.storageKey,
+            hash: stored.hash,
+            mimeType: stored.mimeType,
+            size: stored.size,
+            originalName: stored.originalName,
+            uploadedAt: new Date()
+        };
+        await goal.save();
+
+        res.status(201).json({
+            message: 'Proof file uploaded. Submit proof to request verification.',
+            proofUrl: stored.url,
+            file: milestone.proofFile
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Proof upload error:', error);
+        res.status(500).json({ message: 'Error uploading proof. Please try again.' });
     }
 });
 
@@ -466,16 +509,23 @@ router.put('/:goalId/milestones/:milestoneId/submit-proof', verifyToken, async (
             });
         }
 
-        milestone.proofUrl = proofUrl;
-        milestone.proofDescription = proofDescription;
-        milestone.selfCertified = selfCertify || false;
-        milestone.selfCertificationReason = selfCertificationReason;
+        // Fall back to a file uploaded through /proof-file; a different URL replaces it
+        const submittedProofUrl = proofUrl || milestone.proofUrl;
+        const updates = {
+            proofUrl: submittedProofUrl,
+            proofDescription,
+            selfCertified: selfCertify || false,
+            selfCertificationReason
+        };
+        if (submittedProofUrl !== milestone.proofUrl) {
+            updates.proofFile = undefined;
+        }
 
         let verificationResult;
 
         if (selfCertify) {
-            milestone.verificationStatus = 'self_certified';
-            milestone.aiVerification = {
+            updates.verificationStatus = 'self_certified';
+            updates.aiVerification = {
                 verified: false,
                 confidence: 0,
                 analysis: 'User self-certified completion without AI verification',
@@ -487,15 +537,31 @@ router.put('/:goalId/milestones/:milestoneId/submit-proof', verifyToken, async (
                 analysis: 'Self-certified by user',
                 method: 'self_certification'
             };
+        } else if (goal.verificationRule === 'partner_only') {
+            verificationResult = {
+                verified: false,
+                confidence: 0,
+                analysis: 'Proof will be reviewed by your accountability partner',
+                method: 'partner'
+            };
         } else {
+            // Taken up front so concurrent submissions can't exceed the quota,
+            // and given back below if the provider fails
+            const requestedAt = new Date();
+            if (!(await User.consumeAiVerification(userId, requestedAt))) {
+                return res.status(403).json({
+                    message: 'You have used all AI verifications included in your plan this month. Upgrade your plan or self-certify this milestone.'
+                });
+            }
+
             try {
-                verificationResult = await verifyMilestoneWithAI(
+                verificationResult = await ai.verifyMilestone(
                     milestone, 
-                    proofUrl, 
+                    submittedProofUrl, 
                     proofDescription
                 );
 
-                milestone.aiVerification = {
+                updates.aiVerification = {
                     verified: verificationResult.verified,
                     confidence: verificationResult.confidence,
                     analysis: verificationResult.analysis,
@@ -503,18 +569,19 @@ router.put('/:goalId/milestones/:milestoneId/submit-proof', verifyToken, async (
                 };
 
                 if (verificationResult.verified && verificationResult.confidence >= 70) {
-                    milestone.verificationStatus = 'ai_approved';
+                    updates.verificationStatus = 'ai_approved';
                 } else if (verificationResult.confidence < 50) {
-                    milestone.verificationStatus = 'manual_review';
+                    updates.verificationStatus = 'manual_review';
                 } else {
-                    milestone.verificationStatus = 'pending';
+                    updates.verificationStatus = 'pending';
                 }
 
                 verificationResult.method = 'ai_verification';
 
             } catch (aiError) {
                 console.error('AI verification failed:', aiError);
-                milestone.verificationStatus = 'pending';
+                await User.releaseAiVerification(userId, requestedAt);
+                updates.verificationStatus = 'pending';
                 verificationResult = {
                     verified: false,
                     confidence: 0,
@@ -525,54 +592,51 @@ router.put('/:goalId/milestones/:milestoneId/submit-proof', verifyToken, async (
             }
         }
 
-        if ((verificationResult.verified && verificationResult.confidence >= 70) || selfCertify) {
-            const user = await User.findById(userId);
-            if (!user) {
-                return res.status(404).json({ message: 'User not found' });
-            }
-
-            milestone.isCompleted = true;
-            milestone.completedAt = new Date();
-            milestone.verified = true;
-
-            const refundAmount = Math.round((goal.depositAmount * (milestone.percentage / 100)) * 100) / 100;
-            milestone.releasedAmount = refundAmount;
-
-            user.walletBalance += refundAmount;
-
-            const allCompleted = goal.milestones.every(m => m.isCompleted);
-            if (allCompleted) {
-                goal.status = 'completed';
-                goal.completedAt = new Date();
-            }
+        const aiApproved = verificationResult.method === 'ai_verification' &&
+            verificationResult.verified && verificationResult.confidence >= 70;
+        const awaitingPartner = escrow.needsPartnerApproval(goal.verificationRule, {
+            aiApproved,
+            selfCertified: !!selfCertify
+        });
+        if (awaitingPartner) {
+            updates.verificationStatus = 'partner_review';
+        }
 
-            await user.save();
-            await goal.save();
+        if (!awaitingPartner && (aiApproved || selfCertify)) {
+            const result = await escrow.completeMilestone(goalId, milestoneId, updates);
+            const completed = result.milestone;
 
-            console.log(`Milestone completed with verification: ${milestone.description} - $${refundAmount} refunded`);
+            console.log(`Milestone completed with verification: ${completed.description} - $${result.refundAmount} refunded`);
 
             res.json({ 
                 message: 'Milestone verified and completed!', 
-                refundAmount,
+                refundAmount: result.refundAmount,
                 verification: verificationResult,
                 milestone: {
-                    id: milestone._id,
-                    description: milestone.description,
-                    percentage: milestone.percentage,
+                    id: completed._id,
+                    description: completed.description,
+                    percentage: completed.percentage,
                     isCompleted: true,
                     verified: true,
-                    verificationStatus: milestone.verificationStatus,
-                    releasedAmount: refundAmount
+                    verificationStatus: completed.verificationStatus,
+                    releasedAmount: result.refundAmount
                 },
-                goalCompleted: allCompleted,
-                newWalletBalance: user.walletBalance
+                goalCompleted: result.goalCompleted,
+                newWalletBalance: result.user.walletBalance
             });
 
         } else {
+            milestone.set(updates);
             await goal.save();
 
+            if (milestone.verificationStatus === 'manual_review') {
+                publishEvent('milestone.manual_review', goal, milestone);
+            }
+
             res.json({
-                message: 'Proof submitted for review',
+                message: awaitingPartner
+                    ? 'Proof sent to your accountability partner for approval'
+                    : 'Proof submitted for review',
                 verification: verificationResult,
                 milestone: {
                     id: milestone._id,
@@ -580,34 +644,304 @@ router.put('/:goalId/milestones/:milestoneId/submit-proof', verifyToken, async (
                     verificationStatus: milestone.verificationStatus,
                     aiVerification: milestone.aiVerification
                 },
-                nextSteps: verificationResult.suggestions || 'Your proof is under review. You can also choose to self-certify.'
+                nextSteps: awaitingPartner
+                    ? 'Funds are released once your accountability partner approves.'
+                    : verificationResult.suggestions || 'Your proof is under review. You can also choose to self-certify.'
             });
         }
 
     } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ message: error.message });
+        }
         console.error('Milestone proof submission error:', error);
         res.status(500).json({ message: 'Error submitting proof. Please try again.' });
     }
 });
 
-// GET /api/goals/user/:userId
-router.get('/user/:userId', verifyToken, async (req, res) => {
+// POST /api/goals/:goalId/abandon
+router.post('/:goalId/abandon', verifyToken, async (req, res) => {
+    const { reason } = req.body;
+
+    if (!reason || reason.trim().length < 5) {
+        return res.status(400).json({ message: 'Please provide a reason for abandoning this goal (at least 5 characters)' });
+    }
+
     try {
-        const userId = req.params.userId;
-        
-        if (req.user.id !== userId) {
-            return res.status(403).json({ message: 'Access denied' });
+        const result = await escrow.abandonGoal(req.params.goalId, req.user.id, reason.trim());
+
+        console.log(`Goal abandoned: ${result.goal.title} - $${result.refundAmount} refunded, $${result.forfeitedAmount} forfeited`);
+
+        res.json({
+            message: 'Goal abandoned',
+            goal: result.goal,
+            refundAmount: result.refundAmount,
+            forfeitedAmount: result.forfeitedAmount,
+            newWalletBalance: result.user.walletBalance
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ message: error.message });
         }
-        
-        const goals = await Goal.find({ userId }).sort({ createdAt: -1 });
-        
+        console.error('Goal abandonment error:', error);
+        res.status(500).json({ message: 'Error abandoning goal. Please try again.' });
+    }
+});
+
+// PUT /api/goals/:goalId/partner - Invite an accountability partner and choose the verification
+// rule. The goal keeps its current rule until the partner accepts, so proof is never
+// routed to a partner who can't approve it.
+router.put('/:goalId/partner', verifyToken, async (req, res) => {
+    const { email, verificationRule = 'partner_only' } = req.body;
+
+    if (!email || !email.includes('@')) {
+        return res.status(400).json({ message: 'Please provide your partner\'s email address' });
+    }
+
+    if (!PARTNER_RULES.includes(verificationRule)) {
+        return res.status(400).json({ message: `Verification rule must be one of: ${PARTNER_RULES.join(', ')}` });
+    }
+
+    try {
+        const goal = await Goal.findOne({ _id: req.params.goalId, userId: req.user.id });
+        if (!goal) {
+            return res.status(404).json({ message: 'Goal not found or access denied' });
+        }
+
+        if (!['draft', 'active'].includes(goal.status)) {
+            return res.status(400).json({ message: 'Partners can only be added to draft or active goals' });
+        }
+
+        // Once money is in escrow, oversight can be added but not loosened or swapped out
+        if (goal.status === 'active') {
+            if (goal.hasPartner) {
+                return res.status(400).json({ message: 'This goal already has an accountability partner' });
+            }
+            if (goal.verificationRule !== 'ai' && goal.verificationRule !== verificationRule) {
+                return res.status(400).json({ message: 'The verification rule of an active goal cannot be changed' });
+            }
+        }
+
+        const owner = await User.findById(req.user.id);
+        const partnerEmail = email.trim().toLowerCase();
+        if (partnerEmail === owner.email) {
+            return res.status(400).json({ message: 'You cannot be your own accountability partner' });
+        }
+
+        const { token, hash } = createToken();
+        goal.partner = {
+            email: partnerEmail,
+            status: 'invited',
+            verificationRule,
+            inviteTokenHash: hash,
+            inviteExpires: new Date(Date.now() + PARTNER_INVITE_TTL),
+            invitedAt: new Date()
+        };
+        await goal.save();
+
+        try {
+            await sendPartnerInviteEmail(partnerEmail, owner, goal, token);
+        } catch (mailError) {
+            console.error('Partner invite email error:', mailError.message);
+        }
+
         res.json({
-            goals,
-            totalGoals: goals.length,
-            activeGoals: goals.filter(g => g.status === 'active').length,
-            completedGoals: goals.filter(g => g.status === 'completed').length
+            message: `Invitation sent to ${partnerEmail}. The ${verificationRule} rule applies once they accept.`,
+            verificationRule: goal.verificationRule,
+            partner: {
+                email: goal.partner.email,
+                status: goal.partner.status,
+                verificationRule: goal.partner.verificationRule,
+                invitedAt: goal.partner.invitedAt
+            }
         });
+
+    } catch (error) {
+        console.error('Partner invite error:', error);
+        res.status(500).json({ message: 'Error inviting partner. Please try again.' });
+    }
+});
+
+// DELETE /api/goals/:goalId/partner - Remove the partner from a draft and go back to AI verification
+router.delete('/:goalId/partner', verifyToken, async (req, res) => {
+    try {
+        const goal = await Goal.findOne({ _id: req.params.goalId, userId: req.user.id });
+        if (!goal) {
+            return res.status(404).json({ message: 'Goal not found or access denied' });
+        }
+
+        if (goal.status !== 'draft') {
+            return res.status(400).json({ message: 'Partners can only be removed before the goal is funded' });
+        }
+
+        goal.partner = undefined;
+        goal.verificationRule = 'ai';
+        await goal.save();
+
+        res.json({ message: 'Accountability partner removed', verificationRule: goal.verificationRule });
+
     } catch (error) {
+        console.error('Partner removal error:', error);
+        res.status(500).json({ message: 'Error removing partner. Please try again.' });
+    }
+});
+
+const GOAL_STATUSES = Goal.schema.path('status').enumValues;
+
+// Sortable fields for goal listings and how their values are stored
+const LISTING_SORT_FIELDS = {
+    createdAt: 'date',
+    updatedAt: 'date',
+    deadline: 'date',
+    depositAmount: 'number',
+    title: 'string'
+};
+
+// ?x=a,b and ?x=a&x=b both work
+const parseList = (value) => {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(item => String(item).trim()).filter(Boolean);
+};
+
+const parseDate = (value) => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Build the listing query from GET /user/:userId parameters. Status is kept
+// separate so the per-status counts can ignore it. Throws HttpError on bad input.
+const buildListingFilter = (userId, query) => {
+    const filter = { userId: new mongoose.Types.ObjectId(userId) };
+
+    const statuses = parseList(query.status);
+    const invalidStatus = statuses.find(status => !GOAL_STATUSES.includes(status));
+    if (invalidStatus) {
+        throw new HttpError(400, `status must be one of: ${GOAL_STATUSES.join(', ')}`);
+    }
+
+    const categories = parseList(query.category);
+    if (categories.some(category => !GOAL_CATEGORIES.includes(category))) {
+        throw new HttpError(400, `category must be one of: ${GOAL_CATEGORIES.join(', ')}`);
+    }
+    if (categories.length > 0) {
+        filter.category = { $in: categories };
+    }
+
+    const tags = parseList(query.tags).map(tag => tag.toLowerCase()).slice(0, MAX_TAGS);
+    if (tags.length > 0) {
+        filter.tags = { $all: tags };
+    }
+
+    for (const [field, from, to] of [['createdAt', 'createdFrom', 'createdTo'], ['deadline', 'deadlineFrom', 'deadlineTo']]) {
+        const range = {};
+        for (const [param, operator] of [[from, '$gte'], [to, '$lte']]) {
+            if (query[param] === undefined) continue;
+            const date = parseDate(query[param]);
+            if (!date) {
+                throw new HttpError(400, `${param} must be a date`);
+            }
+            range[operator] = date;
+        }
+        if (Object.keys(range).length > 0) {
+            filter[field] = range;
+        }
+    }
+
+    if (query.hasDeadline === 'true' || query.hasDeadline === 'false') {
+        filter.deadline = query.hasDeadline === 'true' ? { ...filter.deadline, $ne: null } : null;
+    }
+
+    if (query.q !== undefined) {
+        const search = String(query.q).trim();
+        if (search.length > 100) {
+            throw new HttpError(400, 'Search text must be at most 100 characters');
+        }
+        if (search) {
+            const pattern = new RegExp(escapeRegExp(search), 'i');
+            filter.$or = [{ title: pattern }, { description: pattern }];
+        }
+    }
+
+    return { filter, statuses };
+};
+
+// Number of goals in each status matching the other filters
+const countByStatus = async (filter) => {
+    const rows = await Goal.aggregate([
+        { $match: filter },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const counts = Object.fromEntries(GOAL_STATUSES.map(status => [status, 0]));
+    for (const { _id, count } of rows) {
+        counts[_id] = count;
+    }
+    return counts;
+};
+
+// GET /api/goals/user/:userId - Filters: status, category, tags (comma-separated),
+// createdFrom/createdTo, deadlineFrom/deadlineTo, hasDeadline, q (title or description).
+// sort is one of LISTING_SORT_FIELDS, prefixed with "-" for descending (default -createdAt).
+// Missing values sort first ascending; use hasDeadline=true when sorting by deadline.
+// Pages with limit and the nextCursor from the previous page.
+router.get('/user/:userId', verifyToken, requireSelfOrRole('userId'), async (req, res) => {
+    const userId = req.params.userId;
+    if (!mongoose.isValidObjectId(userId)) {
+        return res.status(404).json({ message: 'User not found' });
+    }
+
+    const sortParam = String(req.query.sort || '-createdAt');
+    const sortField = sortParam.replace(/^-/, '');
+    const direction = sortParam.startsWith('-') ? -1 : 1;
+    if (!Object.hasOwn(LISTING_SORT_FIELDS, sortField)) {
+        return res.status(400).json({ message: `sort must be one of: ${Object.keys(LISTING_SORT_FIELDS).join(', ')} (prefix with - for descending)` });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    try {
+        const { filter, statuses } = buildListingFilter(userId, req.query);
+        const listFilter = statuses.length > 0 ? { ...filter, status: { $in: statuses } } : { ...filter };
+
+        if (req.query.cursor) {
+            const cursor = decodeCursor(req.query.cursor, LISTING_SORT_FIELDS[sortField]);
+            if (!cursor) {
+                return res.status(400).json({ message: 'Invalid cursor' });
+            }
+            // Combined with $and so it doesn't clash with the search's $or
+            listFilter.$and = [cursorFilter(sortField, direction, cursor)];
+        }
+
+        const [goals, counts] = await Promise.all([
+            Goal.find(listFilter)
+                .sort({ [sortField]: direction, _id: direction })
+                .limit(limit + 1),
+            countByStatus(filter)
+        ]);
+
+        const hasMore = goals.length > limit;
+        const page = hasMore ? goals.slice(0, limit) : goals;
+        const totalGoals = (statuses.length > 0 ? statuses : GOAL_STATUSES)
+            .reduce((sum, status) => sum + counts[status], 0);
+
+        res.json({
+            goals: page,
+            totalGoals,
+            activeGoals: counts.active,
+            completedGoals: counts.completed,
+            counts,
+            pagination: {
+                limit,
+                sort: sortParam,
+                hasMore,
+                nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortField) : null
+            }
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ message: error.message });
+        }
         console.error('Error fetching goals:', error);
         res.status(500).json({ message: 'Error fetching goals. Please try again.' });
     }
@@ -621,23 +955,17 @@ router.get('/wallet/balance', verifyToken, async (req, res) => {
             return res.status(404).json({ message: 'User not found' });
         }
         
-        const goals = await Goal.find({ userId: req.user.id });
-        const totalDeposited = goals.reduce((sum, goal) => sum + goal.depositAmount, 0);
-        const totalRefunded = goals.reduce((sum, goal) => {
-            return sum + goal.milestones.reduce((milestoneSum, milestone) => {
-                return milestoneSum + (milestone.releasedAmount || 0);
-            }, 0);
-        }, 0);
+        const stats = await Goal.getUserStats(req.user.id);
 
         res.json({ 
             walletBalance: user.walletBalance,
             userName: user.name,
             stats: {
-                totalDeposited,
-                totalRefunded,
-                totalGoals: goals.length,
-                activeGoals: goals.filter(g => g.status === 'active').length,
-                completedGoals: goals.filter(g => g.status === 'completed').length
+                totalDeposited: stats.totalDeposited,
+                totalRefunded: stats.totalRefunded,
+                totalGoals: stats.totalGoals,
+                activeGoals: stats.activeGoals,
+                completedGoals: stats.completedGoals
             }
         });
     } catch (error) {
@@ -646,4 +974,189 @@ router.get('/wallet/balance', verifyToken, async (req, res) => {
     }
 });
 
-module.exports = router;
\ No newline at end of file
+// Fields the owner may change with PATCH /api/goals/:goalId
+const EDITABLE_FIELDS = ['title', 'description', 'deadline', 'category', 'difficulty', 'estimatedDuration', 'tags', 'isPublic', 'forfeitureDestination'];
+// Changing these once money is in escrow would undo the commitment
+const DRAFT_ONLY_FIELDS = ['title', 'forfeitureDestination'];
+
+// Progress figures and, for active goals with a deadline, what extending it would cost
+const describeGoal = (goal) => ({
+    goal,
+    progress: {
+        completionPercentage: goal.completionPercentage,
+        remainingDeposit: Math.round(goal.remainingDeposit * 100) / 100,
+        totalRefunded: Math.round(goal.totalRefunded * 100) / 100,
+        forfeitedAmount: goal.forfeitedAmount
+    },
+    ...(goal.status === 'active' && goal.deadline && { deadlineExtension: escrow.quoteDeadlineExtension(goal) })
+});
+
+// GET /api/goals/:goalId
+router.get('/:goalId', verifyToken, async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.goalId)) {
+        return res.status(404).json({ message: 'Goal not found or access denied' });
+    }
+
+    try {
+        const goal = await Goal.findOne({ _id: req.params.goalId, userId: req.user.id });
+        if (!goal) {
+            return res.status(404).json({ message: 'Goal not found or access denied' });
+        }
+
+        res.json(describeGoal(goal));
+    } catch (error) {
+        console.error('Goal fetch error:', error);
+        res.status(500).json({ message: 'Error fetching goal. Please try again.' });
+    }
+});
+
+// PATCH /api/goals/:goalId - Edit goal details. Drafts can change anything listed in
+// EDITABLE_FIELDS; active goals keep their title and forfeiture destination, and can
+// move the deadline earlier freely but later only with acceptDeadlinePenalty: true.
+// Finished goals can only change descriptive details.
+router.patch('/:goalId', verifyToken, async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.goalId)) {
+        return res.status(404).json({ message: 'Goal not found or access denied' });
+    }
+
+    const { acceptDeadlinePenalty, ...edits } = req.body;
+    const fields = Object.keys(edits);
+
+    const unknown = fields.filter(field => !EDITABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        return res.status(400).json({ message: `These fields cannot be edited: ${unknown.join(', ')}` });
+    }
+    if (fields.length === 0) {
+        return res.status(400).json({ message: `Provide at least one of: ${EDITABLE_FIELDS.join(', ')}` });
+    }
+
+    if (edits.title !== undefined && (typeof edits.title !== 'string' || edits.title.trim().length < 5 || edits.title.trim().length > 500)) {
+        return res.status(400).json({ message: 'Goal title must be between 5 and 500 characters long' });
+    }
+
+    const detailsError = checkGoalDetails(edits);
+    if (detailsError) {
+        return res.status(400).json({ message: detailsError });
+    }
+
+    try {
+        const goal = await Goal.findOne({ _id: req.params.goalId, userId: req.user.id });
+        if (!goal) {
+            return res.status(404).json({ message: 'Goal not found or access denied' });
+        }
+
+        if (goal.status !== 'draft') {
+            const locked = fields.filter(field => DRAFT_ONLY_FIELDS.includes(field));
+            if (locked.length > 0) {
+                return res.status(400).json({ message: `${locked.join(', ')} can only be changed before the goal is funded` });
+            }
+        }
+        if (['completed', 'failed', 'abandoned'].includes(goal.status) && fields.includes('deadline')) {
+            return res.status(400).json({ message: `The deadline of a ${goal.status} goal cannot be changed` });
+        }
+
+        const updates = {};
+        if (edits.title !== undefined) updates.title = edits.title.trim();
+        if (edits.description !== undefined) updates.description = edits.description.trim();
+        for (const field of ['category', 'difficulty', 'estimatedDuration', 'isPublic']) {
+            if (edits[field] !== undefined) updates[field] = edits[field];
+        }
+        if (edits.tags !== undefined) updates.tags = normalizeTags(edits.tags);
+        if (edits.forfeitureDestination !== undefined) {
+            updates.forfeitureDestination = forfeiture.toGoalDestination(forfeiture.findDestination(edits.forfeitureDestination));
+        }
+
+        const deadline = edits.deadline ? parseDeadline(edits.deadline) : edits.deadline;
+
+        if (deadline !== undefined && goal.status === 'active' && goal.deadline) {
+            if (deadline === null) {
+                return res.status(400).json({ message: 'The deadline of an active goal can be moved but not removed' });
+            }
+
+            if (deadline > goal.deadline) {
+                const quote = escrow.quoteDeadlineExtension(goal);
+                if (!quote.allowed) {
+                    return res.status(400).json({ message: quote.reason });
+                }
+                if (acceptDeadlinePenalty !== true) {
+                    return res.status(409).json({
+                        message: `Extending the deadline forfeits $${quote.penaltyAmount.toFixed(2)} (${quote.penaltyPercent}% of the remaining deposit) to ${goal.forfeitureDestination.name}. Send acceptDeadlinePenalty: true to confirm.`,
+                        penaltyAmount: quote.penaltyAmount,
+                        penaltyPercent: quote.penaltyPercent
+                    });
+                }
+
+                const result = await escrow.extendDeadline(goal._id, req.user.id, deadline, { updates });
+
+                console.log(`Deadline extended: goal ${goal.id} to ${deadline.toISOString()}, $${result.penaltyAmount} forfeited`);
+
+                return res.json({
+                    message: 'Goal updated and deadline extended',
+                    penaltyAmount: result.penaltyAmount,
+                    ...describeGoal(result.goal)
+                });
+            }
+        }
+
+        if (deadline !== undefined) {
+            updates.deadline = deadline;
+        }
+
+        goal.set(updates);
+        await goal.save();
+
+        res.json({ message: 'Goal updated', ...describeGoal(goal) });
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Goal update error:', error);
+        res.status(500).json({ message: 'Error updating goal. Please try again.' });
+    }
+});
+
+// DELETE /api/goals/:goalId - Delete a draft or a finished goal with nothing left in
+// escrow. Its ledger entries are kept for the wallet history.
+router.delete('/:goalId', verifyToken, async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.goalId)) {
+        return res.status(404).json({ message: 'Goal not found or access denied' });
+    }
+
+    try {
+        const goal = await Goal.findOne({ _id: req.params.goalId, userId: req.user.id });
+        if (!goal) {
+            return res.status(404).json({ message: 'Goal not found or access denied' });
+        }
+
+        if (goal.status === 'active') {
+            return res.status(400).json({ message: 'Active goals hold money in escrow. Abandon the goal before deleting it.' });
+        }
+        if (goal.status !== 'draft' && goal.remainingDeposit >= 0.01) {
+            return res.status(409).json({ message: `This goal still holds $${goal.remainingDeposit.toFixed(2)} in escrow and cannot be deleted` });
+        }
+
+        // Conditional on the status we checked, so a draft funded meanwhile is kept
+        const { deletedCount } = await Goal.deleteOne({ _id: goal._id, userId: req.user.id, status: goal.status });
+        if (deletedCount === 0) {
+            return res.status(409).json({ message: 'The goal changed while you were deleting it. Please reload and try again.' });
+        }
+
+        await Notification.deleteMany({ userId: req.user.id, goalId: goal._id });
+        try {
+            await proofs.removeProofFiles(goal);
+        } catch (storageError) {
+            console.error(`Proof file cleanup error for goal ${goal.id}:`, storageError.message);
+        }
+
+        console.log(`Goal deleted: ${goal.title} (${goal.status}) by user ${req.user.id}`);
+
+        res.json({ message: 'Goal deleted' });
+
+    } catch (error) {
+        console.error('Goal deletion error:', error);
+        res.status(500).json({ message: 'Error deleting goal. Please try again.' });
+    }
+});
+
+module.exports = router;
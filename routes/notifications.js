@@ -0,0 +1,146 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const PushSubscription = require('../models/PushSubscription');
+const { getPushPublicKey } = require('../services/notifications');
+const { verifyToken } = require('../middleware/auth');
+
+router.use(verifyToken);
+
+// GET /api/notifications?unread=true&page=1&limit=20 - Inbox, newest first
+router.get('/', async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  const filter = { userId: req.user.id };
+  if (req.query.unread === 'true') {
+    filter.readAt = null;
+  }
+
+  try {
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .select('-dedupeKey')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ userId: req.user.id, readAt: null })
+    ]);
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Notifications fetch error:', error);
+    res.status(500).json({ message: 'Error fetching notifications. Please try again.' });
+  }
+});
+
+// POST /api/notifications/read-all
+router.post('/read-all', async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.user.id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({ message: 'All notifications marked as read', updated: result.modifiedCount });
+  } catch (error) {
+    console.error('Notifications read-all error:', error);
+    res.status(500).json({ message: 'Error updating notifications. Please try again.' });
+  }
+});
+
+// GET /api/notifications/push/public-key - VAPID key the browser needs to subscribe
+router.get('/push/public-key', (req, res) => {
+  const publicKey = getPushPublicKey();
+  if (!publicKey) {
+    return res.status(503).json({ message: 'Push notifications are not configured on this server' });
+  }
+  res.json({ publicKey });
+});
+
+// POST /api/notifications/push/subscriptions - Register a PushSubscription from the browser
+router.post('/push/subscriptions', async (req, res) => {
+  const { endpoint, keys } = req.body;
+
+  if (!endpoint || !/^https:\/\/.+/.test(endpoint) || !keys?.p256dh || !keys?.auth) {
+    return res.status(400).json({ message: 'A push subscription with an https endpoint and p256dh/auth keys is required' });
+  }
+
+  try {
+    // Endpoints are unique per browser, so re-subscribing moves it to the current user
+    await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      {
+        $set: {
+          userId: req.user.id,
+          keys: { p256dh: keys.p256dh, auth: keys.auth },
+          userAgent: req.get('User-Agent')?.slice(0, 500)
+        }
+      },
+      { upsert: true, runValidators: true }
+    );
+
+    res.status(201).json({ message: 'Push notifications enabled for this browser' });
+  } catch (error) {
+    console.error('Push subscription error:', error);
+    res.status(500).json({ message: 'Error saving push subscription. Please try again.' });
+  }
+});
+
+// DELETE /api/notifications/push/subscriptions - Body: { endpoint }
+router.delete('/push/subscriptions', async (req, res) => {
+  const { endpoint } = req.body;
+
+  if (!endpoint) {
+    return res.status(400).json({ message: 'Endpoint is required' });
+  }
+
+  try {
+    await PushSubscription.deleteOne({ endpoint, userId: req.user.id });
+    res.json({ message: 'Push notifications disabled for this browser' });
+  } catch (error) {
+    console.error('Push unsubscribe error:', error);
+    res.status(500).json({ message: 'Error removing push subscription. Please try again.' });
+  }
+});
+
+// PATCH /api/notifications/:notificationId - Body: { read: true | false }
+router.patch('/:notificationId', async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.notificationId)) {
+    return res.status(404).json({ message: 'Notification not found' });
+  }
+
+  if (typeof req.body.read !== 'boolean') {
+    return res.status(400).json({ message: 'read must be true or false' });
+  }
+
+  try {
+    // Keep the original read time when a read notification is marked read again
+    const update = req.body.read
+      ? [{ $set: { readAt: { $ifNull: ['$readAt', '$$NOW'] } } }]
+      : { $unset: { readAt: 1 } };
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.notificationId, userId: req.user.id },
+      update,
+      { new: true }
+    ).select('-dedupeKey');
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({ notification });
+  } catch (error) {
+    console.error('Notification update error:', error);
+    res.status(500).json({ message: 'Error updating notification. Please try again.' });
+  }
+});
+
+module.exports = router;
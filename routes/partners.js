@@ -0,0 +1,289 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Goal = require('../models/Goal');
+const escrow = require('../services/escrow');
+const { publishEvent } = require('../services/events');
+const { hashToken } = require('../utils/tokens');
+const { HttpError } = require('../utils/errors');
+const { verifyToken } = require('../middleware/auth');
+
+// Shape a milestone awaiting the partner's decision together with its goal context
+const toPartnerReviewItem = (goal, milestone) => ({
+  goalId: goal._id,
+  goalTitle: goal.title,
+  owner: { id: goal.userId._id, name: goal.userId.name },
+  verificationRule: goal.verificationRule,
+  milestone: {
+    id: milestone._id,
+    description: milestone.description,
+    percentage: milestone.percentage,
+    verificationCriteria: milestone.verificationCriteria,
+    requiredProofType: milestone.requiredProofType,
+    proofUrl: milestone.proofUrl,
+    proofDescription: milestone.proofDescription,
+    selfCertified: milestone.selfCertified,
+    selfCertificationReason: milestone.selfCertificationReason,
+    aiVerification: milestone.aiVerification,
+    verificationStatus: milestone.verificationStatus,
+    submittedAt: milestone.updatedAt
+  }
+});
+
+// Load a goal and milestone the caller has accepted to oversee
+const findPartnerMilestone = async (goalId, milestoneId, partnerId) => {
+  if (!mongoose.isValidObjectId(goalId)) {
+    throw new HttpError(404, 'Goal not found');
+  }
+
+  const goal = await Goal.findOne({
+    _id: goalId,
+    'partner.userId': partnerId,
+    'partner.status': 'accepted'
+  });
+  if (!goal) {
+    throw new HttpError(404, 'Goal not found or you are not its accountability partner');
+  }
+
+  const milestone = goal.milestones.id(milestoneId);
+  if (!milestone) {
+    throw new HttpError(404, 'Milestone not found');
+  }
+
+  return { goal, milestone };
+};
+
+// Find the goal behind an unexpired invitation addressed to the caller
+const findInvitation = async (token, user) => {
+  if (!token) {
+    throw new HttpError(400, 'Invitation token is required');
+  }
+
+  const goal = await Goal.findOne({
+    'partner.inviteTokenHash': hashToken(token),
+    'partner.status': 'invited',
+    'partner.inviteExpires': { $gt: new Date() }
+  });
+  if (!goal) {
+    throw new HttpError(400, 'Invitation is invalid or has expired');
+  }
+
+  if (goal.partner.email !== user.email.toLowerCase()) {
+    throw new HttpError(403, 'This invitation was sent to a different email address');
+  }
+
+  if (goal.userId.toString() === user.id) {
+    throw new HttpError(400, 'You cannot be your own accountability partner');
+  }
+
+  return goal;
+};
+
+const handleError = (res, error, message) => {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ message: `${message}. Please try again.` });
+};
+
+router.use(verifyToken);
+
+// POST /api/partners/invitations/accept - Accept an invitation from the emailed link
+router.post('/invitations/accept', async (req, res) => {
+  try {
+    const goal = await findInvitation(req.body.token, req.user);
+
+    // Conditional on the token hash so an invitation is only used once. The
+    // rule requested with the invitation takes effect now that someone can approve.
+    const updated = await Goal.findOneAndUpdate(
+      { _id: goal._id, 'partner.inviteTokenHash': hashToken(req.body.token), 'partner.status': 'invited' },
+      {
+        $set: {
+          'partner.userId': req.user.id,
+          'partner.status': 'accepted',
+          'partner.respondedAt': new Date(),
+          verificationRule: goal.partner.verificationRule || goal.verificationRule
+        },
+        $unset: { 'partner.inviteTokenHash': 1, 'partner.inviteExpires': 1 }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(400).json({ message: 'Invitation is invalid or has expired' });
+    }
+
+    console.log(`Partner invitation accepted: user ${req.user.id} for goal ${goal._id}`);
+
+    res.json({
+      message: 'You are now an accountability partner for this goal',
+      goal: {
+        id: updated._id,
+        title: updated.title,
+        status: updated.status,
+        verificationRule: updated.verificationRule
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Error accepting invitation');
+  }
+});
+
+// POST /api/partners/invitations/decline
+router.post('/invitations/decline', async (req, res) => {
+  try {
+    const goal = await findInvitation(req.body.token, req.user);
+
+    await Goal.updateOne(
+      { _id: goal._id, 'partner.status': 'invited' },
+      {
+        $set: { 'partner.status': 'declined', 'partner.respondedAt': new Date() },
+        $unset: { 'partner.inviteTokenHash': 1, 'partner.inviteExpires': 1 }
+      }
+    );
+
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    handleError(res, error, 'Error declining invitation');
+  }
+});
+
+// GET /api/partners/goals - Goals the caller oversees
+router.get('/goals', async (req, res) => {
+  try {
+    const goals = await Goal.find({ 'partner.userId': req.user.id, 'partner.status': 'accepted' })
+      .populate('userId', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      goals: goals.map(goal => ({
+        id: goal._id,
+        title: goal.title,
+        status: goal.status,
+        deadline: goal.deadline,
+        verificationRule: goal.verificationRule,
+        completionPercentage: goal.completionPercentage,
+        owner: { id: goal.userId._id, name: goal.userId.name },
+        pendingReviews: goal.milestones.filter(m => m.verificationStatus === 'partner_review' && !m.isCompleted).length
+      }))
+    });
+  } catch (error) {
+    handleError(res, error, 'Error fetching partner goals');
+  }
+});
+
+// GET /api/partners/reviews - Milestones waiting for the caller's decision, oldest first
+router.get('/reviews', async (req, res) => {
+  try {
+    const goals = await Goal.find({
+      'partner.userId': req.user.id,
+      'partner.status': 'accepted',
+      status: 'active',
+      'milestones.verificationStatus': 'partner_review'
+    })
+      .populate('userId', 'name')
+      .sort({ updatedAt: 1 });
+
+    const reviews = goals.flatMap(goal => goal.milestones
+      .filter(m => m.verificationStatus === 'partner_review' && !m.isCompleted)
+      .map(m => toPartnerReviewItem(goal, m)));
+
+    res.json({ reviews });
+  } catch (error) {
+    handleError(res, error, 'Error fetching partner reviews');
+  }
+});
+
+// POST /api/partners/goals/:goalId/milestones/:milestoneId/approve
+router.post('/goals/:goalId/milestones/:milestoneId/approve', async (req, res) => {
+  const { notes } = req.body;
+
+  try {
+    await findPartnerMilestone(req.params.goalId, req.params.milestoneId, req.user.id);
+
+    const result = await escrow.completeMilestone(req.params.goalId, req.params.milestoneId, {
+      verificationStatus: 'partner_approved',
+      partnerReview: {
+        partnerId: req.user.id,
+        decision: 'approved',
+        notes,
+        reviewedAt: new Date()
+      }
+    }, { fromStatus: 'partner_review' });
+
+    console.log(`Milestone approved by partner ${req.user.id}: ${result.milestone.description} - $${result.refundAmount} refunded`);
+
+    res.json({
+      message: 'Milestone approved and completed',
+      refundAmount: result.refundAmount,
+      goalCompleted: result.goalCompleted,
+      milestone: {
+        id: result.milestone._id,
+        verificationStatus: result.milestone.verificationStatus,
+        releasedAmount: result.refundAmount,
+        partnerReview: result.milestone.partnerReview
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Error approving milestone');
+  }
+});
+
+// POST /api/partners/goals/:goalId/milestones/:milestoneId/reject
+router.post('/goals/:goalId/milestones/:milestoneId/reject', async (req, res) => {
+  const { notes } = req.body;
+
+  if (!notes || notes.trim().length < 5) {
+    return res.status(400).json({ message: 'Please explain why the proof was rejected (at least 5 characters)' });
+  }
+
+  try {
+    const { milestone } = await findPartnerMilestone(req.params.goalId, req.params.milestoneId, req.user.id);
+
+    if (milestone.verificationStatus !== 'partner_review' || milestone.isCompleted) {
+      return res.status(409).json({ message: 'Milestone is no longer in partner_review' });
+    }
+
+    // Conditional update so a concurrent decision or resubmission is not overwritten
+    const partnerReview = {
+      partnerId: req.user.id,
+      decision: 'rejected',
+      notes: notes.trim(),
+      reviewedAt: new Date()
+    };
+    const updated = await Goal.findOneAndUpdate(
+      {
+        _id: req.params.goalId,
+        status: 'active',
+        milestones: { $elemMatch: { _id: milestone._id, verificationStatus: 'partner_review', isCompleted: false } }
+      },
+      {
+        $set: {
+          'milestones.$.verificationStatus': 'rejected',
+          'milestones.$.partnerReview': partnerReview
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({ message: 'Milestone is no longer in partner_review' });
+    }
+
+    console.log(`Milestone rejected by partner ${req.user.id}: ${milestone.description}`);
+    publishEvent('milestone.rejected', updated, updated.milestones.id(milestone._id));
+
+    res.json({
+      message: 'Milestone proof rejected',
+      milestone: {
+        id: milestone._id,
+        verificationStatus: 'rejected',
+        partnerReview
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Error rejecting milestone');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const { getPaymentProvider } = require('../services/payments');
+const walletPayments = require('../services/walletPayments');
+const { HttpError } = require('../utils/errors');
+const { verifyToken } = require('../middleware/auth');
+
+// Provider event types the simulate endpoint sends for each payment type
+const SIMULATED_EVENTS = {
+  top_up: { succeed: 'payment_intent.succeeded', fail: 'payment_intent.payment_failed' },
+  withdrawal: { succeed: 'payout.paid', fail: 'payout.failed' }
+};
+
+const handleError = (res, error, message) => {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ message: `${message}. Please try again.` });
+};
+
+// Verify a signed provider request and apply the event it carries
+const processWebhook = async (provider, rawBody, headers) => {
+  const event = provider.verifyWebhook(rawBody, headers);
+  const payment = await walletPayments.handleProviderEvent(event);
+  if (payment) {
+    console.log(`Payment ${payment.id} ${payment.status} (${event.type})`);
+  }
+  return event;
+};
+
+// POST /api/payments/webhook - Called by the payment provider. Authenticated by
+// signature over the raw body (kept by the JSON parser in server.js).
+router.post('/webhook', async (req, res) => {
+  if (typeof req.rawBody !== 'string') {
+    return res.status(400).json({ message: 'Webhook body must be JSON' });
+  }
+
+  try {
+    const event = await processWebhook(getPaymentProvider(), req.rawBody, req.headers);
+    res.json({ received: true, type: event.type });
+  } catch (error) {
+    handleError(res, error, 'Payment webhook error');
+  }
+});
+
+// POST /api/payments/mock/:paymentId/:outcome - Development only. Settles or fails
+// one of your pending payments by sending the mock provider's signed webhook
+// through the same path as a real one. outcome is "succeed" or "fail".
+router.post('/mock/:paymentId/:outcome', verifyToken, async (req, res) => {
+  if (process.env.NODE_ENV === 'production' || (process.env.PAYMENT_PROVIDER || 'mock') !== 'mock') {
+    return res.status(404).json({ message: 'Route not found' });
+  }
+
+  const { paymentId, outcome } = req.params;
+  if (!['succeed', 'fail'].includes(outcome)) {
+    return res.status(400).json({ message: 'outcome must be succeed or fail' });
+  }
+  if (!mongoose.isValidObjectId(paymentId)) {
+    return res.status(404).json({ message: 'Payment not found' });
+  }
+
+  try {
+    const provider = getPaymentProvider();
+    const payment = await Payment.findOne({ _id: paymentId, userId: req.user.id });
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+    if (payment.status !== 'pending' || !payment.providerPaymentId) {
+      return res.status(400).json({ message: `Payment is already ${payment.status}` });
+    }
+
+    const type = SIMULATED_EVENTS[payment.type][outcome];
+    const object = { id: payment.providerPaymentId, amount: payment.amount, currency: payment.currency };
+    if (outcome === 'fail') {
+      object.last_payment_error = { message: 'Simulated failure' };
+      object.failure_message = 'Simulated failure';
+    }
+
+    const { body, headers } = provider.buildWebhook(type, object);
+    await processWebhook(provider, body, headers);
+
+    const updated = await Payment.findById(payment._id);
+    res.json({ message: `Sent ${type}`, status: updated.status });
+  } catch (error) {
+    handleError(res, error, 'Error simulating payment event');
+  }
+});
+
+module.exports = router;
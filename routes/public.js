@@ -0,0 +1,210 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Goal = require('../models/Goal');
+const User = require('../models/User');
+const { liveStreak } = require('../services/stats');
+const { rateLimit } = require('../middleware/rateLimit');
+
+const GOAL_CATEGORIES = Goal.schema.path('category').enumValues;
+const PUBLIC_STATUSES = ['active', 'completed', 'failed', 'abandoned'];
+const OWNER_FIELDS = 'name profile.avatar profile.preferences.privacy suspension.isSuspended';
+
+const publicLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 120,
+  message: 'Too many requests from this address. Please slow down.'
+});
+
+const parsePagination = (query) => ({
+  page: Math.max(parseInt(query.page, 10) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 50)
+});
+
+// ?tags=a,b and ?tags=a&tags=b both work
+const parseTags = (tags) => {
+  if (!tags) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean).slice(0, 10);
+};
+
+// Query for public goals, narrowed by the optional category, tags and status filters
+const buildFeedFilter = (query) => {
+  const filter = { isPublic: true, status: { $in: PUBLIC_STATUSES } };
+
+  if (GOAL_CATEGORIES.includes(query.category)) {
+    filter.category = query.category;
+  }
+
+  const tags = parseTags(query.tags);
+  if (tags.length > 0) {
+    filter.tags = { $all: tags };
+  }
+
+  if (PUBLIC_STATUSES.includes(query.status)) {
+    filter.status = query.status;
+  }
+
+  return filter;
+};
+
+// Suspended users' goals are hidden everywhere public, like their profiles
+const suspendedUserIds = () => User.distinct('_id', { 'suspension.isSuspended': true });
+
+const privacyOf = (user) => user?.profile?.preferences?.privacy || {};
+
+// Owners stay anonymous unless their profile is public
+const toPublicOwner = (user) => {
+  if (!user || !privacyOf(user).profilePublic) return null;
+  return { id: user._id, name: user.name, avatar: user.profile.avatar };
+};
+
+// Goal as shown to other people; wallet and proof data only when the owner shares progress
+const toPublicGoal = (goal, owner = goal.userId) => {
+  const shareProgress = !!privacyOf(owner).shareProgress;
+
+  const publicGoal = {
+    id: goal._id,
+    title: goal.title,
+    description: goal.description,
+    category: goal.category,
+    tags: goal.tags,
+    difficulty: goal.difficulty,
+    status: goal.status,
+    deadline: goal.deadline,
+    createdAt: goal.createdAt,
+    completedAt: goal.completedAt,
+    completionPercentage: goal.completionPercentage,
+    owner: toPublicOwner(owner),
+    milestones: goal.milestones.map(milestone => ({
+      id: milestone._id,
+      description: milestone.description,
+      percentage: milestone.percentage,
+      isCompleted: milestone.isCompleted,
+      completedAt: milestone.completedAt,
+      ...(shareProgress && {
+        releasedAmount: milestone.releasedAmount,
+        verificationStatus: milestone.verificationStatus,
+        proofUrl: milestone.proofUrl,
+        proofDescription: milestone.proofDescription
+      })
+    }))
+  };
+
+  if (shareProgress) {
+    publicGoal.depositAmount = goal.depositAmount;
+    publicGoal.totalRefunded = goal.totalRefunded;
+    publicGoal.forfeitedAmount = goal.forfeitedAmount;
+  }
+
+  return publicGoal;
+};
+
+router.use(publicLimiter);
+
+// GET /api/public/goals?category=&tags=&status=&page=&limit= - Feed of goals marked public, newest first
+router.get('/goals', async (req, res) => {
+  const { page, limit } = parsePagination(req.query);
+
+  try {
+    const filter = { ...buildFeedFilter(req.query), userId: { $nin: await suspendedUserIds() } };
+    const [goals, total] = await Promise.all([
+      Goal.find(filter)
+        .populate('userId', OWNER_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Goal.countDocuments(filter)
+    ]);
+
+    res.json({
+      goals: goals.map(goal => toPublicGoal(goal)),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Public feed error:', error);
+    res.status(500).json({ message: 'Error fetching public goals. Please try again.' });
+  }
+});
+
+// GET /api/public/goals/:goalId
+router.get('/goals/:goalId', async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.goalId)) {
+    return res.status(404).json({ message: 'Goal not found' });
+  }
+
+  try {
+    const goal = await Goal.findOne({
+      _id: req.params.goalId,
+      isPublic: true,
+      status: { $in: PUBLIC_STATUSES }
+    }).populate('userId', OWNER_FIELDS);
+
+    if (!goal || goal.userId?.suspension?.isSuspended) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    res.json({ goal: toPublicGoal(goal) });
+  } catch (error) {
+    console.error('Public goal error:', error);
+    res.status(500).json({ message: 'Error fetching goal. Please try again.' });
+  }
+});
+
+// GET /api/public/users/:userId?category=&tags=&status=&page=&limit= - Public profile and the user's public goals
+router.get('/users/:userId', async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.userId)) {
+    return res.status(404).json({ message: 'Profile not found' });
+  }
+
+  const { page, limit } = parsePagination(req.query);
+
+  try {
+    const user = await User.findOne({
+      _id: req.params.userId,
+      'profile.preferences.privacy.profilePublic': true,
+      'suspension.isSuspended': { $ne: true }
+    }).select('name profile stats createdAt');
+
+    // Private and missing profiles look the same from outside
+    if (!user) {
+      return res.status(404).json({ message: 'Profile not found' });
+    }
+
+    const filter = { ...buildFeedFilter(req.query), userId: user._id };
+    const [goals, total] = await Promise.all([
+      Goal.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Goal.countDocuments(filter)
+    ]);
+
+    const shareProgress = !!privacyOf(user).shareProgress;
+
+    res.json({
+      profile: {
+        ...toPublicOwner(user),
+        bio: user.profile.bio,
+        memberSince: user.createdAt,
+        stats: {
+          goalsCreated: user.stats.goalsCreated,
+          goalsCompleted: user.stats.goalsCompleted,
+          currentStreak: liveStreak(user.stats, user.profile.timezone),
+          longestStreak: user.stats.longestStreak,
+          ...(shareProgress && {
+            totalDeposited: user.stats.totalDeposited,
+            totalRefunded: user.stats.totalRefunded
+          })
+        }
+      },
+      goals: goals.map(goal => toPublicGoal(goal, user)),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Public profile error:', error);
+    res.status(500).json({ message: 'Error fetching profile. Please try again.' });
+  }
+});
+
+module.exports = router;
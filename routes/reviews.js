@@ -0,0 +1,248 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Goal = require('../models/Goal');
+const escrow = require('../services/escrow');
+const { publishEvent } = require('../services/events');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const { HttpError } = require('../utils/errors');
+
+// Shape a milestone awaiting review together with its goal context
+const toReviewItem = (goal, milestone) => ({
+  goalId: goal._id,
+  goalTitle: goal.title,
+  userId: goal.userId,
+  depositAmount: goal.depositAmount,
+  milestone: {
+    id: milestone._id,
+    description: milestone.description,
+    percentage: milestone.percentage,
+    verificationCriteria: milestone.verificationCriteria,
+    requiredProofType: milestone.requiredProofType,
+    proofUrl: milestone.proofUrl,
+    proofDescription: milestone.proofDescription,
+    aiVerification: milestone.aiVerification,
+    verificationStatus: milestone.verificationStatus,
+    submittedAt: milestone.updatedAt
+  }
+});
+
+// Load a goal and milestone that a reviewer is allowed to decide on
+const findReviewable = async (goalId, milestoneId, reviewerId) => {
+  if (!mongoose.isValidObjectId(goalId)) {
+    throw new HttpError(404, 'Goal not found');
+  }
+
+  const goal = await Goal.findById(goalId).populate('userId', 'name email');
+  if (!goal) {
+    throw new HttpError(404, 'Goal not found');
+  }
+
+  if (goal.userId._id.toString() === reviewerId) {
+    throw new HttpError(403, 'You cannot review your own goals');
+  }
+
+  const milestone = goal.milestones.id(milestoneId);
+  if (!milestone) {
+    throw new HttpError(404, 'Milestone not found');
+  }
+
+  return { goal, milestone };
+};
+
+const handleError = (res, error, message) => {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ message: `${message}. Please try again.` });
+};
+
+router.use(verifyToken, requireRole('reviewer'));
+
+// GET /api/reviews?page=1&limit=20 - Milestones waiting for a human decision, oldest first
+router.get('/', async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  try {
+    const query = { status: 'active', 'milestones.verificationStatus': 'manual_review' };
+    const [goals, total] = await Promise.all([
+      Goal.find(query)
+        .sort({ updatedAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Goal.countDocuments(query)
+    ]);
+
+    const reviews = goals.flatMap(goal => goal.milestones
+      .filter(m => m.verificationStatus === 'manual_review' && !m.isCompleted)
+      .map(m => toReviewItem(goal, m)));
+
+    res.json({
+      reviews,
+      pagination: {
+        page,
+        limit,
+        totalGoals: total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Error fetching reviews');
+  }
+});
+
+// GET /api/reviews/:goalId/milestones/:milestoneId - Proof and AI analysis for one milestone
+router.get('/:goalId/milestones/:milestoneId', async (req, res) => {
+  try {
+    const { goal, milestone } = await findReviewable(req.params.goalId, req.params.milestoneId, req.user.id);
+
+    res.json({
+      ...toReviewItem(goal, milestone),
+      owner: {
+        id: goal.userId._id,
+        name: goal.userId.name,
+        email: goal.userId.email
+      },
+      goalStatus: goal.status,
+      review: milestone.review
+    });
+  } catch (error) {
+    handleError(res, error, 'Error fetching review');
+  }
+});
+
+// POST /api/reviews/:goalId/milestones/:milestoneId/approve
+router.post('/:goalId/milestones/:milestoneId/approve', async (req, res) => {
+  const { notes } = req.body;
+
+  try {
+    const { goal, milestone } = await findReviewable(req.params.goalId, req.params.milestoneId, req.user.id);
+
+    const review = {
+      reviewerId: req.user.id,
+      decision: 'approved',
+      notes,
+      reviewedAt: new Date()
+    };
+
+    // Partner rules still need the partner's sign-off, as after AI approval
+    if (escrow.needsPartnerApproval(goal.verificationRule, { aiApproved: true, selfCertified: false })) {
+      if (milestone.verificationStatus !== 'manual_review' || milestone.isCompleted) {
+        return res.status(409).json({ message: 'Milestone is no longer in manual_review' });
+      }
+
+      const updated = await Goal.findOneAndUpdate(
+        {
+          _id: goal._id,
+          milestones: { $elemMatch: { _id: milestone._id, verificationStatus: 'manual_review', isCompleted: false } }
+        },
+        {
+          $set: {
+            'milestones.$.verificationStatus': 'partner_review',
+            'milestones.$.review': review
+          }
+        },
+        { new: true }
+      );
+
+      if (!updated) {
+        return res.status(409).json({ message: 'Milestone is no longer in manual_review' });
+      }
+
+      console.log(`Milestone approved by reviewer ${req.user.id}, awaiting partner: ${milestone.description}`);
+
+      return res.json({
+        message: 'Milestone approved and sent to the accountability partner',
+        refundAmount: 0,
+        goalCompleted: false,
+        milestone: {
+          id: milestone._id,
+          verificationStatus: 'partner_review',
+          releasedAmount: 0,
+          review
+        }
+      });
+    }
+
+    const result = await escrow.completeMilestone(goal._id, milestone._id, {
+      verificationStatus: 'reviewer_approved',
+      review
+    }, { fromStatus: 'manual_review' });
+
+    console.log(`Milestone approved by reviewer ${req.user.id}: ${result.milestone.description} - $${result.refundAmount} refunded`);
+
+    res.json({
+      message: 'Milestone approved and completed',
+      refundAmount: result.refundAmount,
+      goalCompleted: result.goalCompleted,
+      milestone: {
+        id: result.milestone._id,
+        verificationStatus: result.milestone.verificationStatus,
+        releasedAmount: result.refundAmount,
+        review: result.milestone.review
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Error approving milestone');
+  }
+});
+
+// POST /api/reviews/:goalId/milestones/:milestoneId/reject
+router.post('/:goalId/milestones/:milestoneId/reject', async (req, res) => {
+  const { notes } = req.body;
+
+  if (!notes || notes.trim().length < 5) {
+    return res.status(400).json({ message: 'Please explain why the proof was rejected (at least 5 characters)' });
+  }
+
+  try {
+    const { milestone } = await findReviewable(req.params.goalId, req.params.milestoneId, req.user.id);
+
+    if (milestone.verificationStatus !== 'manual_review' || milestone.isCompleted) {
+      return res.status(409).json({ message: 'Milestone is no longer in manual_review' });
+    }
+
+    // Conditional update so a concurrent decision or resubmission is not overwritten
+    const review = {
+      reviewerId: req.user.id,
+      decision: 'rejected',
+      notes: notes.trim(),
+      reviewedAt: new Date()
+    };
+    const updated = await Goal.findOneAndUpdate(
+      {
+        _id: req.params.goalId,
+        milestones: { $elemMatch: { _id: milestone._id, verificationStatus: 'manual_review', isCompleted: false } }
+      },
+      {
+        $set: {
+          'milestones.$.verificationStatus': 'rejected',
+          'milestones.$.review': review
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({ message: 'Milestone is no longer in manual_review' });
+    }
+
+    console.log(`Milestone rejected by reviewer ${req.user.id}: ${milestone.description}`);
+    publishEvent('milestone.rejected', updated, updated.milestones.id(milestone._id));
+
+    res.json({
+      message: 'Milestone proof rejected',
+      milestone: {
+        id: milestone._id,
+        verificationStatus: 'rejected',
+        review
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Error rejecting milestone');
+  }
+});
+
+module.exports = router;
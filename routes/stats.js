@@ -0,0 +1,231 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Goal = require('../models/Goal');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const { safeTimezone, localDayNumber, localDateKey } = require('../utils/timezone');
+const { verifyToken } = require('../middleware/auth');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FINISHED_STATUSES = ['completed', 'failed', 'abandoned'];
+const MAX_PERIODS = { week: 52, month: 24 };
+
+// Ledger transaction types counted in each money series
+const MONEY_SERIES = {
+  deposits: ['escrow_deposit'],
+  releases: ['milestone_release', 'refund'],
+  forfeits: ['forfeit']
+};
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+const percentage = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+const msToDays = (ms) => (ms === null ? null : Math.round((ms / DAY_MS) * 10) / 10);
+
+// Keys of the last `count` periods up to now, oldest first, in the user's timezone.
+// Weeks start on Monday and are keyed by that date (YYYY-MM-DD); months by YYYY-MM.
+const periodKeys = (interval, count, timezone, now = new Date()) => {
+  const keys = [];
+
+  if (interval === 'week') {
+    const today = localDayNumber(now, timezone);
+    // Day 0 (1970-01-01) was a Thursday, three days after a Monday
+    const monday = today - ((today + 3) % 7);
+    for (let i = count - 1; i >= 0; i--) {
+      keys.push(new Date((monday - i * 7) * DAY_MS).toISOString().slice(0, 10));
+    }
+    return keys;
+  }
+
+  const [year, month] = localDateKey(now, timezone).split('-').map(Number);
+  for (let i = count - 1; i >= 0; i--) {
+    const date = new Date(Date.UTC(year, month - 1 - i, 1));
+    keys.push(date.toISOString().slice(0, 7));
+  }
+  return keys;
+};
+
+// Aggregation expression for the period key of `field`, matching periodKeys()
+const periodKeyExpression = (interval, field, timezone) => {
+  if (interval === 'week') {
+    return {
+      $dateToString: {
+        format: '%Y-%m-%d',
+        date: { $dateTrunc: { date: field, unit: 'week', startOfWeek: 'monday', timezone } },
+        timezone
+      }
+    };
+  }
+  return { $dateToString: { format: '%Y-%m', date: field, timezone } };
+};
+
+// Deposits, releases and forfeits from the ledger, plus goal and milestone
+// completions, per period
+const buildTimeSeries = async (userId, interval, count, timezone) => {
+  const keys = periodKeys(interval, count, timezone);
+  // A day of slack covers the timezone offset; keys outside the range are dropped below
+  const since = new Date(new Date(keys[0]).getTime() - DAY_MS);
+  const types = Object.values(MONEY_SERIES).flat();
+
+  const [money, goals, milestones] = await Promise.all([
+    Transaction.aggregate([
+      { $match: { userId, type: { $in: types }, createdAt: { $gte: since } } },
+      { $group: { _id: { period: periodKeyExpression(interval, '$createdAt', timezone), type: '$type' }, total: { $sum: '$amount' } } }
+    ]),
+    Goal.aggregate([
+      { $match: { userId, status: 'completed', completedAt: { $gte: since } } },
+      { $group: { _id: periodKeyExpression(interval, '$completedAt', timezone), count: { $sum: 1 } } }
+    ]),
+    Goal.aggregate([
+      { $match: { userId, 'milestones.completedAt': { $gte: since } } },
+      { $unwind: '$milestones' },
+      { $match: { 'milestones.isCompleted': true, 'milestones.completedAt': { $gte: since } } },
+      { $group: { _id: periodKeyExpression(interval, '$milestones.completedAt', timezone), count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const series = new Map(keys.map(key => [key, {
+    period: key,
+    deposits: 0,
+    releases: 0,
+    forfeits: 0,
+    goalsCompleted: 0,
+    milestonesCompleted: 0
+  }]));
+
+  for (const { _id, total } of money) {
+    const entry = series.get(_id.period);
+    if (!entry) continue;
+    const name = Object.keys(MONEY_SERIES).find(key => MONEY_SERIES[key].includes(_id.type));
+    entry[name] += total;
+  }
+  for (const { _id, count: completed } of goals) {
+    if (series.has(_id)) series.get(_id).goalsCompleted = completed;
+  }
+  for (const { _id, count: completed } of milestones) {
+    if (series.has(_id)) series.get(_id).milestonesCompleted = completed;
+  }
+
+  return [...series.values()].map(entry => ({
+    ...entry,
+    deposits: roundCents(entry.deposits),
+    releases: roundCents(entry.releases),
+    forfeits: roundCents(entry.forfeits)
+  }));
+};
+
+// Share of finished goals that were completed, by category and by difficulty
+const buildSuccessRates = async (userId) => {
+  const groupBy = (field) => [
+    {
+      $group: {
+        _id: `$${field}`,
+        finished: { $sum: 1 },
+        completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ];
+
+  const [result] = await Goal.aggregate([
+    { $match: { userId, status: { $in: FINISHED_STATUSES } } },
+    { $facet: { byCategory: groupBy('category'), byDifficulty: groupBy('difficulty') } }
+  ]);
+
+  const toRates = (rows, key) => rows.map(({ _id, finished, completed }) => ({
+    [key]: _id,
+    finished,
+    completed,
+    successRate: percentage(completed, finished)
+  }));
+
+  return {
+    byCategory: toRates(result.byCategory, 'category'),
+    byDifficulty: toRates(result.byDifficulty, 'difficulty')
+  };
+};
+
+// Average days from funding to completing each milestone, by its position in
+// the plan, and to completing whole goals
+const buildCompletionTimes = async (userId) => {
+  const [milestones, goals] = await Promise.all([
+    Goal.aggregate([
+      { $match: { userId, fundedAt: { $exists: true }, 'milestones.isCompleted': true } },
+      { $unwind: { path: '$milestones', includeArrayIndex: 'position' } },
+      { $match: { 'milestones.isCompleted': true, 'milestones.completedAt': { $exists: true } } },
+      {
+        $group: {
+          _id: '$position',
+          completed: { $sum: 1 },
+          averageMs: { $avg: { $subtract: ['$milestones.completedAt', '$fundedAt'] } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]),
+    Goal.aggregate([
+      { $match: { userId, status: 'completed', fundedAt: { $exists: true }, completedAt: { $exists: true } } },
+      {
+        $group: {
+          _id: null,
+          completed: { $sum: 1 },
+          averageMs: { $avg: { $subtract: ['$completedAt', '$fundedAt'] } }
+        }
+      }
+    ])
+  ]);
+
+  return {
+    averageDaysToCompleteGoal: msToDays(goals[0]?.averageMs ?? null),
+    milestones: milestones.map(({ _id, completed, averageMs }) => ({
+      milestone: _id + 1,
+      completed,
+      averageDaysFromStart: msToDays(averageMs)
+    }))
+  };
+};
+
+// GET /api/stats?interval=week|month&periods=12 - Lifetime totals, per-period
+// series in the user's timezone, success rates and completion times
+router.get('/', verifyToken, async (req, res) => {
+  const interval = String(req.query.interval || 'month');
+  if (!Object.hasOwn(MAX_PERIODS, interval)) {
+    return res.status(400).json({ message: 'interval must be week or month' });
+  }
+  const periods = Math.min(Math.max(parseInt(req.query.periods, 10) || 12, 1), MAX_PERIODS[interval]);
+
+  try {
+    const user = await User.findById(req.user.id).select('profile.timezone');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const userId = new mongoose.Types.ObjectId(req.user.id);
+    const timezone = safeTimezone(user.profile.timezone);
+
+    const [statistics, timeSeries, successRates, completionTimes] = await Promise.all([
+      User.getUserStatistics(req.user.id),
+      buildTimeSeries(userId, interval, periods, timezone),
+      buildSuccessRates(userId),
+      buildCompletionTimes(userId)
+    ]);
+
+    // lastStreakDay is bookkeeping for the streak counter
+    const { lastStreakDay, ...lifetime } = statistics;
+    const finished = lifetime.completedGoals + lifetime.failedGoals + lifetime.abandonedGoals;
+
+    res.json({
+      lifetime: {
+        ...lifetime,
+        successRate: percentage(lifetime.completedGoals, finished)
+      },
+      timeSeries: { interval, timezone, periods: timeSeries },
+      successRates,
+      completionTimes
+    });
+  } catch (error) {
+    console.error('Stats error:', error);
+    res.status(500).json({ message: 'Error fetching statistics. Please try again.' });
+  }
+});
+
+module.exports = router;
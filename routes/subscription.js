@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const Goal = require('../models/Goal');
+const User = require('../models/User');
+const plans = require('../services/plans');
+const subscriptions = require('../services/subscriptions');
+const { HttpError } = require('../utils/errors');
+const { verifyToken } = require('../middleware/auth');
+
+const toPlanResponse = (key) => ({ id: key, ...plans.PLANS[key] });
+
+// Current plan with how much of each limit has been used
+const buildUsage = async (user, now = new Date()) => {
+  const planKey = plans.effectivePlan(user.subscription, now);
+  const limits = plans.PLANS[planKey];
+  const month = plans.usageMonth(now);
+  const [activeGoals, openGoals] = await Promise.all([
+    Goal.countDocuments({ userId: user._id, status: 'active' }),
+    Goal.countOpenGoals(user._id)
+  ]);
+
+  return {
+    plan: toPlanResponse(planKey),
+    subscription: {
+      plan: user.subscription.plan,
+      startDate: user.subscription.startDate,
+      endDate: user.subscription.endDate,
+      cancelAtPeriodEnd: user.subscription.cancelAtPeriodEnd
+    },
+    usage: {
+      goals: { used: openGoals, limit: limits.goalLimit },
+      activeGoals,
+      maxDeposit: limits.maxDeposit,
+      aiVerifications: {
+        used: user.usage?.month === month ? user.usage.aiVerifications : 0,
+        limit: limits.aiVerificationsPerMonth,
+        resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+      }
+    }
+  };
+};
+
+router.use(verifyToken);
+
+// GET /api/subscription/plans
+router.get('/plans', (req, res) => {
+  res.json({ plans: plans.PLAN_TIERS.map(toPlanResponse) });
+});
+
+// GET /api/subscription - Plan, billing period and usage against the plan's limits
+router.get('/', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('subscription stats usage');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(await buildUsage(user));
+  } catch (error) {
+    console.error('Subscription fetch error:', error);
+    res.status(500).json({ message: 'Error fetching subscription. Please try again.' });
+  }
+});
+
+// POST /api/subscription/change - Body: { plan, paymentMethod }. Upgrades and paid
+// switches take effect now; a downgrade to free at the end of the billing period.
+router.post('/change', async (req, res) => {
+  const { plan, paymentMethod } = req.body;
+
+  if (!plans.PLAN_TIERS.includes(plan)) {
+    return res.status(400).json({ message: `Plan must be one of: ${plans.PLAN_TIERS.join(', ')}` });
+  }
+
+  try {
+    const result = await subscriptions.changePlan(req.user.id, plan, { paymentMethod });
+
+    res.json({
+      message: result.message,
+      ...(result.charge && { payment: { id: result.charge.id, amount: result.charge.amount, currency: result.charge.currency } }),
+      ...(await buildUsage(result.user))
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Plan change error:', error);
+    res.status(500).json({ message: 'Error changing plan. Please try again.' });
+  }
+});
+
+module.exports = router;
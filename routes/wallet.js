@@ -0,0 +1,187 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const Payment = require('../models/Payment');
+const walletPayments = require('../services/walletPayments');
+const { HttpError } = require('../utils/errors');
+const { verifyToken } = require('../middleware/auth');
+
+const PAYMENT_TYPES = Payment.schema.path('type').enumValues;
+const PAYMENT_STATUSES = Payment.schema.path('status').enumValues;
+
+const handleError = (res, error, message) => {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ message: `${message}. Please try again.` });
+};
+
+// Dollar amount with at most two decimal places
+const isValidAmount = (amount) => {
+  return typeof amount === 'number' && Number.isFinite(amount) && Math.round(amount * 100) === amount * 100;
+};
+
+// Optional Idempotency-Key header so a retried request returns the original payment
+const readIdempotencyKey = (req) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return { key: undefined };
+  if (!/^[\w-]{8,100}$/.test(key)) {
+    return { error: 'Idempotency-Key must be 8-100 letters, digits, dashes or underscores' };
+  }
+  return { key };
+};
+
+const toPaymentResponse = (payment) => ({
+  id: payment.id,
+  type: payment.type,
+  amount: payment.amount,
+  currency: payment.currency,
+  status: payment.status,
+  destination: payment.destination,
+  failureReason: payment.failureReason,
+  createdAt: payment.createdAt,
+  settledAt: payment.settledAt,
+  failedAt: payment.failedAt
+});
+
+// GET /api/wallet/transactions?page=1&limit=20
+router.get('/transactions', verifyToken, async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  try {
+    const [transactions, total] = await Promise.all([
+      Transaction.findByUser(req.user.id, { page, limit }),
+      Transaction.countDocuments({ userId: req.user.id })
+    ]);
+
+    res.json({
+      transactions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching transactions:', error);
+    res.status(500).json({ message: 'Error fetching wallet transactions. Please try again.' });
+  }
+});
+
+// POST /api/wallet/top-ups - Body: { amount }. Returns a pending payment and the
+// clientSecret used to confirm it; the wallet is credited once the provider confirms.
+router.post('/top-ups', verifyToken, async (req, res) => {
+  const { amount } = req.body;
+  const { min, max } = walletPayments.TOP_UP_LIMITS;
+
+  if (!isValidAmount(amount) || amount < min || amount > max) {
+    return res.status(400).json({ message: `Top-up amount must be between $${min} and $${max}` });
+  }
+
+  const idempotency = readIdempotencyKey(req);
+  if (idempotency.error) {
+    return res.status(400).json({ message: idempotency.error });
+  }
+
+  try {
+    const { payment, clientSecret } = await walletPayments.startTopUp(req.user.id, amount, { idempotencyKey: idempotency.key });
+
+    res.status(201).json({
+      message: 'Top-up started. Your balance updates once the payment is confirmed.',
+      payment: toPaymentResponse(payment),
+      clientSecret
+    });
+  } catch (error) {
+    handleError(res, error, 'Error starting top-up');
+  }
+});
+
+// POST /api/wallet/withdrawals - Body: { amount, destination }. The amount leaves the
+// wallet now and is returned if the payout fails.
+router.post('/withdrawals', verifyToken, async (req, res) => {
+  const { amount, destination } = req.body;
+
+  if (!isValidAmount(amount) || amount < walletPayments.MIN_WITHDRAWAL) {
+    return res.status(400).json({ message: `Withdrawal amount must be at least $${walletPayments.MIN_WITHDRAWAL}` });
+  }
+  if (typeof destination !== 'string' || !destination.trim() || destination.length > 100) {
+    return res.status(400).json({ message: 'A payout destination is required' });
+  }
+
+  const idempotency = readIdempotencyKey(req);
+  if (idempotency.error) {
+    return res.status(400).json({ message: idempotency.error });
+  }
+
+  try {
+    const payment = await walletPayments.startWithdrawal(req.user.id, amount, destination.trim(), { idempotencyKey: idempotency.key });
+
+    res.status(201).json({
+      message: 'Withdrawal started',
+      payment: toPaymentResponse(payment)
+    });
+  } catch (error) {
+    handleError(res, error, 'Error starting withdrawal');
+  }
+});
+
+// GET /api/wallet/payments?type=top_up&status=pending&page=1&limit=20
+router.get('/payments', verifyToken, async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const { type, status } = req.query;
+
+  if (type && !PAYMENT_TYPES.includes(type)) {
+    return res.status(400).json({ message: `type must be one of: ${PAYMENT_TYPES.join(', ')}` });
+  }
+  if (status && !PAYMENT_STATUSES.includes(status)) {
+    return res.status(400).json({ message: `status must be one of: ${PAYMENT_STATUSES.join(', ')}` });
+  }
+
+  const filter = { userId: req.user.id };
+  if (type) filter.type = type;
+  if (status) filter.status = status;
+
+  try {
+    const [payments, total] = await Promise.all([
+      Payment.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Payment.countDocuments(filter)
+    ]);
+
+    res.json({
+      payments: payments.map(toPaymentResponse),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Error fetching payments');
+  }
+});
+
+// GET /api/wallet/payments/:paymentId
+router.get('/payments/:paymentId', verifyToken, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.paymentId)) {
+    return res.status(404).json({ message: 'Payment not found' });
+  }
+
+  try {
+    const payment = await Payment.findOne({ _id: req.params.paymentId, userId: req.user.id });
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    res.json({ payment: toPaymentResponse(payment) });
+  } catch (error) {
+    handleError(res, error, 'Error fetching payment');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,287 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhooks = require('../services/webhooks');
+const { HttpError } = require('../utils/errors');
+const { verifyToken } = require('../middleware/auth');
+
+const MAX_WEBHOOKS_PER_USER = 10;
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+const toWebhookResponse = (webhook) => ({
+  id: webhook._id,
+  url: webhook.url,
+  events: webhook.events,
+  description: webhook.description,
+  isActive: webhook.isActive,
+  lastDeliveryAt: webhook.lastDeliveryAt,
+  lastDeliveryStatus: webhook.lastDeliveryStatus,
+  createdAt: webhook.createdAt
+});
+
+const toDeliveryResponse = (delivery) => ({
+  id: delivery._id,
+  eventId: delivery.eventId,
+  event: delivery.event,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.nextAttemptAt,
+  lastAttemptAt: delivery.lastAttemptAt,
+  responseStatus: delivery.responseStatus,
+  responseBody: delivery.responseBody,
+  error: delivery.error,
+  durationMs: delivery.durationMs,
+  createdAt: delivery.createdAt
+});
+
+// Check a list of event names; returns a de-duplicated copy
+const parseEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new HttpError(400, `Subscribe to at least one of: ${webhooks.EVENT_TYPES.join(', ')}`);
+  }
+
+  const unknown = events.filter(event => !webhooks.EVENT_TYPES.includes(event));
+  if (unknown.length > 0) {
+    throw new HttpError(400, `Unknown events: ${unknown.join(', ')}`);
+  }
+
+  return [...new Set(events)];
+};
+
+const findOwnWebhook = async (webhookId, userId, select) => {
+  if (!mongoose.isValidObjectId(webhookId)) {
+    throw new HttpError(404, 'Webhook not found');
+  }
+
+  const query = Webhook.findOne({ _id: webhookId, userId });
+  if (select) query.select(select);
+
+  const webhook = await query;
+  if (!webhook) {
+    throw new HttpError(404, 'Webhook not found');
+  }
+  return webhook;
+};
+
+const handleError = (res, error, message) => {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: Object.values(error.errors).map(e => e.message).join(', ') });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ message: `${message}. Please try again.` });
+};
+
+router.use(verifyToken);
+
+// GET /api/webhooks/events - Event names a webhook can subscribe to
+router.get('/events', (req, res) => {
+  res.json({ events: webhooks.EVENT_TYPES });
+});
+
+// GET /api/webhooks
+router.get('/', async (req, res) => {
+  try {
+    const list = await Webhook.find({ userId: req.user.id }).sort({ createdAt: -1 });
+    res.json({ webhooks: list.map(toWebhookResponse) });
+  } catch (error) {
+    handleError(res, error, 'Error fetching webhooks');
+  }
+});
+
+// POST /api/webhooks - Register an endpoint; the signing secret is only returned here
+router.post('/', async (req, res) => {
+  const { url, description } = req.body;
+
+  try {
+    const events = parseEvents(req.body.events);
+    await webhooks.assertDeliverableUrl(url);
+
+    const count = await Webhook.countDocuments({ userId: req.user.id });
+    if (count >= MAX_WEBHOOKS_PER_USER) {
+      throw new HttpError(400, `You can register at most ${MAX_WEBHOOKS_PER_USER} webhooks`);
+    }
+
+    const secret = webhooks.generateSecret();
+    const webhook = await Webhook.create({
+      userId: req.user.id,
+      url,
+      events,
+      description,
+      secret
+    });
+
+    res.status(201).json({
+      message: 'Webhook registered. Store the secret now; it will not be shown again.',
+      webhook: toWebhookResponse(webhook),
+      secret
+    });
+  } catch (error) {
+    handleError(res, error, 'Error registering webhook');
+  }
+});
+
+// GET /api/webhooks/:webhookId
+router.get('/:webhookId', async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req.params.webhookId, req.user.id);
+    res.json({ webhook: toWebhookResponse(webhook) });
+  } catch (error) {
+    handleError(res, error, 'Error fetching webhook');
+  }
+});
+
+// PATCH /api/webhooks/:webhookId - Change url, events, description or isActive
+router.patch('/:webhookId', async (req, res) => {
+  const { url, events, description, isActive } = req.body;
+
+  try {
+    const webhook = await findOwnWebhook(req.params.webhookId, req.user.id);
+
+    if (url !== undefined && url !== webhook.url) {
+      await webhooks.assertDeliverableUrl(url);
+      webhook.url = url;
+    }
+    if (events !== undefined) {
+      webhook.events = parseEvents(events);
+    }
+    if (description !== undefined) {
+      webhook.description = description;
+    }
+    if (isActive !== undefined) {
+      if (typeof isActive !== 'boolean') {
+        throw new HttpError(400, 'isActive must be true or false');
+      }
+      webhook.isActive = isActive;
+    }
+
+    await webhook.save();
+    res.json({ message: 'Webhook updated', webhook: toWebhookResponse(webhook) });
+  } catch (error) {
+    handleError(res, error, 'Error updating webhook');
+  }
+});
+
+// DELETE /api/webhooks/:webhookId - Also drops its delivery log
+router.delete('/:webhookId', async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req.params.webhookId, req.user.id);
+    await Webhook.deleteOne({ _id: webhook._id });
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+
+    res.json({ message: 'Webhook deleted' });
+  } catch (error) {
+    handleError(res, error, 'Error deleting webhook');
+  }
+});
+
+// POST /api/webhooks/:webhookId/rotate-secret - Old signatures stop validating immediately
+router.post('/:webhookId/rotate-secret', async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req.params.webhookId, req.user.id);
+    const secret = webhooks.generateSecret();
+    webhook.secret = secret;
+    await webhook.save();
+
+    res.json({ message: 'Secret rotated. Store the new secret now; it will not be shown again.', secret });
+  } catch (error) {
+    handleError(res, error, 'Error rotating webhook secret');
+  }
+});
+
+// POST /api/webhooks/:webhookId/test - Send a webhook.test event now and report the result
+router.post('/:webhookId/test', async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req.params.webhookId, req.user.id);
+    if (!webhook.isActive) {
+      throw new HttpError(400, 'Enable the webhook before sending a test event');
+    }
+
+    const delivery = await webhooks.sendTestEvent(webhook);
+    res.json({
+      message: delivery.status === 'succeeded' ? 'Test event delivered' : 'Test event could not be delivered',
+      delivery: toDeliveryResponse(delivery)
+    });
+  } catch (error) {
+    handleError(res, error, 'Error sending test event');
+  }
+});
+
+// GET /api/webhooks/:webhookId/deliveries?status=&page=&limit= - Delivery log, newest first
+router.get('/:webhookId/deliveries', async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  try {
+    const webhook = await findOwnWebhook(req.params.webhookId, req.user.id);
+
+    const filter = { webhookId: webhook._id };
+    if (DELIVERY_STATUSES.includes(req.query.status)) {
+      filter.status = req.query.status;
+    }
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.json({
+      deliveries: deliveries.map(toDeliveryResponse),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    handleError(res, error, 'Error fetching deliveries');
+  }
+});
+
+// GET /api/webhooks/:webhookId/deliveries/:deliveryId - Includes the exact payload that was sent
+router.get('/:webhookId/deliveries/:deliveryId', async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req.params.webhookId, req.user.id);
+    const delivery = mongoose.isValidObjectId(req.params.deliveryId) &&
+      await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhookId: webhook._id });
+    if (!delivery) {
+      throw new HttpError(404, 'Delivery not found');
+    }
+
+    res.json({ delivery: { ...toDeliveryResponse(delivery), payload: JSON.parse(delivery.payload) } });
+  } catch (error) {
+    handleError(res, error, 'Error fetching delivery');
+  }
+});
+
+// POST /api/webhooks/:webhookId/deliveries/:deliveryId/redeliver - Send a finished delivery again
+router.post('/:webhookId/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req.params.webhookId, req.user.id);
+    if (!webhook.isActive) {
+      throw new HttpError(400, 'Enable the webhook before redelivering events');
+    }
+
+    const original = mongoose.isValidObjectId(req.params.deliveryId) &&
+      await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhookId: webhook._id });
+    if (!original) {
+      throw new HttpError(404, 'Delivery not found');
+    }
+    if (original.status === 'pending') {
+      throw new HttpError(409, 'This delivery is still being retried');
+    }
+
+    const delivery = await webhooks.redeliver(original);
+    res.json({
+      message: delivery.status === 'succeeded' ? 'Event redelivered' : 'Event could not be delivered',
+      delivery: toDeliveryResponse(delivery)
+    });
+  } catch (error) {
+    handleError(res, error, 'Error redelivering event');
+  }
+});
+
+module.exports = router;
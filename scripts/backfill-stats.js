@@ -0,0 +1,65 @@
+// Recompute User.stats (counts, totals and streaks) from existing goals.
+//
+//   npm run backfill:stats              # update every user
+//   npm run backfill:stats -- --dry-run # only print what would change
+//
+// Safe to run repeatedly; it overwrites stats with values derived from goals.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Goal = require('../models/Goal');
+const { computeStats } = require('../services/stats');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const backfill = async () => {
+  let scanned = 0;
+  let updated = 0;
+
+  const cursor = User.find().select('stats profile.timezone').cursor();
+  for await (const user of cursor) {
+    scanned++;
+
+    const goals = await Goal.find({ userId: user._id })
+      .select('status depositAmount finalRefundAmount fundedAt createdAt completedAt finalizedAt milestones.isCompleted milestones.completedAt milestones.releasedAmount');
+    const stats = computeStats(goals, user.profile.timezone);
+
+    const changed = Object.keys(stats).some(key => {
+      const before = user.stats[key] instanceof Date ? user.stats[key].getTime() : user.stats[key];
+      const after = stats[key] instanceof Date ? stats[key].getTime() : stats[key];
+      return before !== after;
+    });
+    if (!changed) continue;
+
+    updated++;
+    if (dryRun) {
+      console.log(`Would update ${user._id}:`, JSON.stringify(stats));
+      continue;
+    }
+
+    const set = {};
+    const unset = {};
+    for (const [key, value] of Object.entries(stats)) {
+      if (value === undefined) {
+        unset[`stats.${key}`] = 1;
+      } else {
+        set[`stats.${key}`] = value;
+      }
+    }
+    await User.updateOne({ _id: user._id }, Object.keys(unset).length > 0 ? { $set: set, $unset: unset } : { $set: set });
+  }
+
+  return { scanned, updated };
+};
+
+mongoose
+  .connect(process.env.MONGO_URI)
+  .then(backfill)
+  .then(({ scanned, updated }) => {
+    console.log(`${dryRun ? 'Dry run: ' : ''}${updated} of ${scanned} users ${dryRun ? 'would be ' : ''}updated`);
+  })
+  .catch((error) => {
+    console.error('Stats backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -4,18 +4,42 @@ const express = require("express");
 const mongoose = require("mongoose");
 const cors = require("cors");
 require("dotenv").config();
+const { LOCAL_UPLOAD_DIR } = require("./services/storage");
+const { startJobs } = require("./jobs");
+const { subscribeToEvents } = require("./services/webhooks");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Deliver goal and milestone events to user webhooks
+subscribeToEvents();
+
 // Connect to MongoDB Atlas
 mongoose
  .connect(process.env.MONGO_URI)
- .then(() => console.log("🍃 MongoDB connected successfully!"))
+ .then(() => {
+  console.log("🍃 MongoDB connected successfully!");
+  startJobs();
+ })
  .catch((err) => console.error("❌ MongoDB connection error:", err));
 
+// Behind a reverse proxy (e.g. Render) set TRUST_PROXY so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+ const trustProxy = process.env.TRUST_PROXY;
+ app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
-app.use(express.json());
+// Payment webhooks are verified against the exact bytes the provider signed
+app.use(
+ express.json({
+  verify: (req, res, buf) => {
+   if (req.originalUrl.startsWith("/api/payments/webhook")) {
+    req.rawBody = buf.toString("utf8");
+   }
+  },
+ })
+);
 app.use(
  cors({
   origin:
@@ -28,9 +52,33 @@ app.use(
   credentials: true,
  })
 );
+// Locally stored proof files. They are user content, so they are always
+// downloaded rather than rendered on the API origin.
+app.use(
+ "/uploads",
+ express.static(LOCAL_UPLOAD_DIR, {
+  setHeaders: (res) => {
+   res.setHeader("X-Content-Type-Options", "nosniff");
+   res.setHeader("Content-Disposition", "attachment");
+   res.setHeader("Content-Security-Policy", "default-src 'none'; sandbox");
+  },
+ })
+);
+
 // Routes
 app.use("/api/auth", require("./routes/auth"));
 app.use("/api/goals", require("./routes/goals"));
+app.use("/api/wallet", require("./routes/wallet"));
+app.use("/api/reviews", require("./routes/reviews"));
+app.use("/api/admin", require("./routes/admin"));
+app.use("/api/partners", require("./routes/partners"));
+app.use("/api/public", require("./routes/public"));
+app.use("/api/notifications", require("./routes/notifications"));
+app.use("/api/webhooks", require("./routes/webhooks"));
+app.use("/api/subscription", require("./routes/subscription"));
+app.use("/api/payments", require("./routes/payments"));
+app.use("/api/stats", require("./routes/stats"));
+app.use("/api/exports", require("./routes/exports"));
 
 // Basic test route
 app.get("/", (req, res) => {
@@ -40,6 +88,17 @@ app.get("/", (req, res) => {
   endpoints: {
    auth: "/api/auth",
    goals: "/api/goals",
+   wallet: "/api/wallet",
+   reviews: "/api/reviews",
+   admin: "/api/admin",
+   partners: "/api/partners",
+   public: "/api/public",
+   notifications: "/api/notifications",
+   webhooks: "/api/webhooks",
+   subscription: "/api/subscription",
+   payments: "/api/payments",
+   stats: "/api/stats",
+   exports: "/api/exports",
   },
  });
 });
@@ -0,0 +1,49 @@
+const { sendMail, appUrl } = require('./mail');
+
+const sendVerificationEmail = (user, token) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},
+
+Please confirm your email address to start funding goals:
+${appUrl('/verify-email', { token })}
+
+This link expires in 24 hours.`
+  });
+};
+
+const sendPasswordResetEmail = (user, token) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},
+
+Someone asked to reset the password for your account. If it was you, choose a new password here:
+${appUrl('/reset-password', { token })}
+
+This link expires in 1 hour. If you didn't ask for this, you can ignore this email.`
+  });
+};
+
+const sendPartnerInviteEmail = (email, owner, goal, token) => {
+  return sendMail({
+    to: email,
+    subject: `${owner.name} wants you as their accountability partner`,
+    text: `Hi,
+
+${owner.name} has put money on the line for the goal "${goal.title}" and asked you to check their progress.
+As their accountability partner you'll approve or reject the proof they submit for each milestone.
+
+Accept the invitation here (you'll need an account with this email address):
+${appUrl('/partner-invite', { token })}
+
+This link expires in 7 days.`
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPartnerInviteEmail
+};
@@ -0,0 +1,72 @@
+const { createGeminiProvider } = require('./providers/gemini');
+const { createOpenAIProvider } = require('./providers/openai');
+const { createStubProvider } = require('./providers/stub');
+const { buildMilestonePrompt, buildVerificationPrompt } = require('./prompts');
+const {
+  MILESTONE_PLAN_SCHEMA,
+  VERIFICATION_SCHEMA,
+  validateMilestonePlan,
+  validateVerification
+} = require('./schemas');
+
+// AI providers by AI_PROVIDER. Each implements
+// generateJson({ task, prompt, schema, temperature, context }) -> parsed object.
+const providers = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  stub: createStubProvider
+};
+
+let provider;
+
+const getProvider = () => {
+  if (!provider) {
+    const name = process.env.AI_PROVIDER || 'gemini';
+    if (!providers[name]) {
+      throw new Error(`Unknown AI provider "${name}"`);
+    }
+    provider = providers[name]();
+  }
+  return provider;
+};
+
+// Generate a validated milestone plan for a goal, optionally revising a
+// previous plan according to the user's feedback
+const generateMilestones = async (title, { feedback, previousMilestones } = {}) => {
+  const plan = await getProvider().generateJson({
+    task: 'milestones',
+    prompt: buildMilestonePrompt(title, { feedback, previousMilestones }),
+    schema: MILESTONE_PLAN_SCHEMA,
+    temperature: 0.8,
+    context: { title, feedback }
+  });
+
+  validateMilestonePlan(plan);
+  console.log('Successfully validated AI-generated milestones');
+  return plan;
+};
+
+// Ask the AI whether proof completes a milestone. Throws when the provider
+// fails or returns an invalid result, so callers can tell an outage from a
+// low-confidence answer.
+const verifyMilestone = async (milestone, proofUrl, proofDescription) => {
+  console.log('Sending milestone verification request to AI provider...');
+
+  const verification = await getProvider().generateJson({
+    task: 'verification',
+    prompt: buildVerificationPrompt(milestone, proofUrl, proofDescription),
+    schema: VERIFICATION_SCHEMA,
+    temperature: 0.3,
+    context: { milestone, proofUrl, proofDescription }
+  });
+
+  validateVerification(verification);
+  console.log('AI Verification Result:', verification);
+  return verification;
+};
+
+module.exports = {
+  getProvider,
+  generateMilestones,
+  verifyMilestone
+};
@@ -0,0 +1,86 @@
+// Describe a previous plan and the user's feedback on it for regeneration
+const buildRevisionSection = (feedback, previousMilestones = []) => {
+  if (!feedback) return '';
+
+  const previous = previousMilestones
+    .map((m, index) => `${index + 1}. ${m.description} (${m.percentage}%)`)
+    .join('\n');
+
+  return `
+
+PREVIOUS PLAN:
+${previous || 'None'}
+
+USER FEEDBACK ON THE PREVIOUS PLAN:
+"${feedback}"
+
+Create a revised plan that addresses this feedback.`;
+};
+
+// Prompt asking the model for a milestone plan for a goal title
+const buildMilestonePrompt = (title, { feedback, previousMilestones } = {}) => {
+  return `You are an expert goal-setting coach. Analyze this specific goal: "${title}"
+
+Create 4-6 SMART milestones that are:
+- SPECIFIC to this exact goal (not generic)
+- MEASURABLE with clear success criteria
+- ACTIONABLE with concrete steps
+- RELEVANT to achieving the stated goal
+- TIME-BOUND when appropriate
+
+IMPORTANT: For each milestone, also provide:
+1. A clear description of what needs to be accomplished
+2. Specific verification criteria that explain EXACTLY what evidence/proof would demonstrate completion
+3. The type of proof needed (image, video, document, text, or any)
+
+Examples:
+- Fitness goal: "Complete 20 push-ups in one set" → Verification: "Video showing you performing 20 consecutive push-ups with proper form" → Proof type: video
+- Learning goal: "Read Chapter 1-3 of [Book]" → Verification: "Written summary of key concepts from each chapter (minimum 200 words)" → Proof type: text
+- Business goal: "Create logo and brand guidelines" → Verification: "PDF document showing final logo designs and brand color palette" → Proof type: document
+
+Assign percentage weights based on difficulty and importance (must total 100%).
+
+Respond with a JSON object containing a 'milestones' array where each milestone has:
+{
+  "description": "What to do",
+  "verificationCriteria": "Exactly what proof/evidence is needed",
+  "requiredProofType": "image|video|document|text|any",
+  "percentage": number
+}${buildRevisionSection(feedback, previousMilestones)}`;
+};
+
+// Prompt asking the model whether submitted proof completes a milestone
+const buildVerificationPrompt = (milestone, proofUrl, proofDescription) => {
+  return `You are an AI verification assistant for a goal achievement platform. 
+
+MILESTONE TO VERIFY:
+"${milestone.description}"
+
+VERIFICATION CRITERIA:
+"${milestone.verificationCriteria}"
+
+USER'S PROOF:
+${proofDescription || 'User provided visual proof (see image/video)'}
+
+YOUR TASK:
+Analyze whether the proof provided demonstrates genuine completion of this milestone according to the verification criteria.
+
+Respond with a JSON object containing:
+{
+  "verified": true/false (whether proof is sufficient),
+  "confidence": 0-100 (confidence level in your assessment),
+  "analysis": "Brief explanation of your decision (2-3 sentences)",
+  "suggestions": "If not verified, what additional proof would help"
+}
+
+Be strict but fair. Look for:
+1. Does the proof match what was requested?
+2. Is there clear evidence of completion?
+3. Could this be easily faked or misrepresented?
+4. Does it show genuine effort and achievement?`;
+};
+
+module.exports = {
+  buildMilestonePrompt,
+  buildVerificationPrompt
+};
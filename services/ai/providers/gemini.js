@@ -0,0 +1,67 @@
+const axios = require('axios');
+
+const DEFAULT_MODEL = 'gemini-2.5-flash-preview-05-20';
+
+// Gemini generateContent with a native response schema
+const createGeminiProvider = ({ apiKey = process.env.GEMINI_API_KEY, model = process.env.GEMINI_MODEL || DEFAULT_MODEL } = {}) => ({
+  name: 'gemini',
+
+  async generateJson({ prompt, schema, temperature }) {
+    if (!apiKey) {
+      throw new Error('Gemini API key is not configured');
+    }
+
+    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
+
+    const payload = {
+      contents: [{ parts: [{ text: prompt }] }],
+      generationConfig: {
+        responseMimeType: 'application/json',
+        responseSchema: schema,
+        temperature,
+        topP: 0.9,
+        topK: 40
+      }
+    };
+
+    try {
+      console.log(`Sending request to Gemini API (${model})...`);
+
+      const response = await axios.post(apiUrl, payload, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'AI-Escrow-App/1.0'
+        },
+        timeout: 30000
+      });
+
+      console.log('Gemini API Response Status:', response.status);
+      const result = response.data;
+
+      const contentPart = result?.candidates?.[0]?.content?.parts?.[0]?.text;
+
+      if (!contentPart) {
+        console.error('Empty response from Gemini API:', result);
+        throw new Error('Gemini API response was empty or malformed');
+      }
+
+      return JSON.parse(contentPart);
+
+    } catch (error) {
+      if (error.response) {
+        console.error('Gemini API Response Error:', error.response.status, error.response.data);
+        throw new Error(`Gemini API error (${error.response.status}): ${JSON.stringify(error.response.data)}`);
+      } else if (error.request) {
+        console.error('Gemini API Network Error:', error.message);
+        throw new Error(`Network error calling Gemini API: ${error.message}`);
+      } else {
+        console.error('Gemini API Error Details:', error.message);
+        throw error;
+      }
+    }
+  }
+});
+
+module.exports = {
+  createGeminiProvider
+};
@@ -0,0 +1,56 @@
+const OpenAI = require('openai');
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+// Gemini-style schemas use upper-case type names; JSON Schema wants lower-case
+const toJsonSchema = (schema) => {
+  if (Array.isArray(schema)) return schema.map(toJsonSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  return Object.fromEntries(Object.entries(schema).map(([key, value]) => [
+    key,
+    key === 'type' && typeof value === 'string' ? value.toLowerCase() : toJsonSchema(value)
+  ]));
+};
+
+// OpenAI chat completions in JSON mode, with the schema given as instructions
+const createOpenAIProvider = ({ apiKey = process.env.OPENAI_API_KEY, model = process.env.OPENAI_MODEL || DEFAULT_MODEL } = {}) => {
+  let client;
+
+  return {
+    name: 'openai',
+
+    async generateJson({ prompt, schema, temperature }) {
+      if (!apiKey) {
+        throw new Error('OpenAI API key is not configured');
+      }
+      client = client || new OpenAI({ apiKey, timeout: 30000 });
+
+      console.log(`Sending request to OpenAI API (${model})...`);
+
+      const completion = await client.chat.completions.create({
+        model,
+        temperature,
+        response_format: { type: 'json_object' },
+        messages: [
+          {
+            role: 'system',
+            content: `Respond only with a JSON object matching this JSON Schema:\n${JSON.stringify(toJsonSchema(schema))}`
+          },
+          { role: 'user', content: prompt }
+        ]
+      });
+
+      const content = completion.choices?.[0]?.message?.content;
+      if (!content) {
+        throw new Error('OpenAI API response was empty or malformed');
+      }
+
+      return JSON.parse(content);
+    }
+  };
+};
+
+module.exports = {
+  createOpenAIProvider
+};
@@ -0,0 +1,107 @@
+// Response schemas in the OpenAPI subset Gemini accepts. Providers without
+// native schema support receive them as instructions instead.
+const MILESTONE_PLAN_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    milestones: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          description: {
+            type: 'STRING',
+            minLength: 20,
+            maxLength: 400
+          },
+          verificationCriteria: {
+            type: 'STRING',
+            minLength: 20,
+            maxLength: 400
+          },
+          requiredProofType: {
+            type: 'STRING',
+            enum: ['image', 'video', 'document', 'text', 'any']
+          },
+          percentage: {
+            type: 'NUMBER',
+            minimum: 5,
+            maximum: 50
+          }
+        },
+        required: ['description', 'verificationCriteria', 'requiredProofType', 'percentage']
+      },
+      minItems: 4,
+      maxItems: 6
+    }
+  },
+  required: ['milestones']
+};
+
+const VERIFICATION_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    verified: { type: 'BOOLEAN' },
+    confidence: { type: 'NUMBER', minimum: 0, maximum: 100 },
+    analysis: { type: 'STRING' },
+    suggestions: { type: 'STRING' }
+  },
+  required: ['verified', 'confidence', 'analysis']
+};
+
+// Goal.pre('save') rejects plans that are off by more than this
+const PERCENTAGE_TOLERANCE = 1;
+
+// Validate a generated milestone plan, scaling percentages to sum to 100
+const validateMilestonePlan = (plan) => {
+  if (!plan || !Array.isArray(plan.milestones)) {
+    throw new Error('Invalid milestone structure in AI response');
+  }
+
+  const totalPercentage = plan.milestones.reduce((sum, milestone) => sum + Number(milestone.percentage || 0), 0);
+  console.log('Total percentage:', totalPercentage);
+
+  if (totalPercentage <= 0) {
+    throw new Error('Milestone percentages in AI response are missing');
+  }
+
+  if (Math.abs(totalPercentage - 100) > PERCENTAGE_TOLERANCE) {
+    console.log('Normalizing percentages from', totalPercentage, 'to 100');
+    const factor = 100 / totalPercentage;
+    plan.milestones.forEach(milestone => {
+      milestone.percentage = Math.round(milestone.percentage * factor * 100) / 100;
+    });
+  }
+
+  plan.milestones.forEach((milestone, index) => {
+    if (!milestone.description || milestone.description.length < 20) {
+      throw new Error(`Milestone ${index + 1} description is too short or empty`);
+    }
+    if (milestone.percentage < 5 || milestone.percentage > 50) {
+      throw new Error(`Milestone ${index + 1} percentage is out of valid range`);
+    }
+  });
+
+  return plan;
+};
+
+// Validate a verification verdict, clamping confidence into 0-100
+const validateVerification = (verification) => {
+  if (!verification || typeof verification.verified !== 'boolean' || typeof verification.analysis !== 'string') {
+    throw new Error('Invalid verification structure in AI response');
+  }
+
+  const confidence = Number(verification.confidence);
+  if (Number.isNaN(confidence)) {
+    throw new Error('AI verification confidence is not a number');
+  }
+  verification.confidence = Math.min(Math.max(confidence, 0), 100);
+
+  return verification;
+};
+
+module.exports = {
+  MILESTONE_PLAN_SCHEMA,
+  VERIFICATION_SCHEMA,
+  validateMilestonePlan,
+  validateVerification
+};
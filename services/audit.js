@@ -0,0 +1,19 @@
+const AuditLog = require('../models/AuditLog');
+
+// Record an administrative action, inside the caller's transaction when given one
+const recordAudit = async ({ actorId, action, targetUserId, targetGoalId, reason, details }, { session } = {}) => {
+  const [entry] = await AuditLog.create([{
+    actorId,
+    action,
+    targetUserId,
+    targetGoalId,
+    reason,
+    details
+  }], { session });
+
+  return entry;
+};
+
+module.exports = {
+  recordAudit
+};
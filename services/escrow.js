@@ -0,0 +1,348 @@
+const Goal = require('../models/Goal');
+const User = require('../models/User');
+const wallet = require('./wallet');
+const stats = require('./stats');
+const { publishEvent } = require('./events');
+const { withTransaction } = require('../utils/transaction');
+const { HttpError } = require('../utils/errors');
+
+// Share of the remaining escrow returned when a goal is abandoned (0-100)
+const abandonRefundPercent = () => {
+  const percent = Number(process.env.ABANDON_REFUND_PERCENT) || 0;
+  return Math.min(Math.max(percent, 0), 100);
+};
+
+// Deposits at or above this amount require two-factor authentication
+const twoFactorDepositThreshold = () => Number(process.env.TWO_FACTOR_DEPOSIT_THRESHOLD) || 500;
+
+// Whether approved proof must still wait for the accountability partner under
+// the goal's verificationRule. A reviewer's approval counts as aiApproved.
+const needsPartnerApproval = (rule, { aiApproved, selfCertified }) => {
+  switch (rule) {
+    case 'partner_only':
+      return true;
+    case 'ai_then_partner':
+      return aiApproved || selfCertified;
+    case 'either':
+      return !aiApproved;
+    default:
+      return false;
+  }
+};
+
+// Throw unless the user may put this amount into escrow. openGoals is the
+// user's other active and draft goals, from Goal.countOpenGoals.
+const assertCanFund = (user, amount, { openGoals } = {}) => {
+  if (!user.verification.emailVerified) {
+    throw new HttpError(403, 'Please verify your email address before funding goals');
+  }
+
+  if (amount >= twoFactorDepositThreshold() && !user.security.twoFactorEnabled) {
+    throw new HttpError(403, `Enable two-factor authentication to deposit $${twoFactorDepositThreshold().toFixed(2)} or more`);
+  }
+
+  const check = user.canCreateGoal(amount, { openGoals });
+  if (!check.canCreate) {
+    throw new HttpError(check.code === 'plan_limit' ? 403 : 400, check.reason);
+  }
+};
+
+// Activate a goal and move its deposit from the owner's wallet into escrow
+const lockDeposit = async (goal, user, session) => {
+  // A draft's deadline isn't revalidated on save, and an overdue goal would
+  // be failed by the deadline job and its whole deposit forfeited
+  if (goal.deadline && goal.deadline <= new Date()) {
+    throw new HttpError(400, 'The deadline has passed. Set a new deadline before funding this goal');
+  }
+
+  const openGoals = await Goal.countOpenGoals(user._id, { excludeGoalId: goal._id, session });
+  assertCanFund(user, goal.depositAmount, { openGoals });
+
+  goal.status = 'active';
+  goal.fundedAt = new Date();
+  await goal.save({ session });
+
+  // Saved together with the wallet debit
+  stats.recordGoalFunded(user, goal, goal.fundedAt);
+  await wallet.depositToEscrow(user, goal, { session });
+};
+
+// Create a goal and move its deposit into escrow in a single transaction
+const fundGoal = async (userId, goalData) => {
+  const result = await withTransaction(async (session) => {
+    const user = await User.findById(userId).session(session);
+    if (!user) {
+      throw new HttpError(404, 'User not found');
+    }
+
+    const goal = new Goal({ ...goalData, userId });
+    await lockDeposit(goal, user, session);
+
+    return { goal, user };
+  });
+
+  publishEvent('goal.created', result.goal);
+  return result;
+};
+
+// Fund a draft goal once the user has accepted its milestone plan
+const fundDraft = async (goalId, userId) => {
+  const result = await withTransaction(async (session) => {
+    const goal = await Goal.findOne({ _id: goalId, userId }).session(session);
+    if (!goal) {
+      throw new HttpError(404, 'Goal not found or access denied');
+    }
+
+    if (goal.status !== 'draft') {
+      throw new HttpError(400, 'Only draft goals can be funded');
+    }
+
+    const planError = Goal.checkMilestonePlan(goal.milestones);
+    if (planError) {
+      throw new HttpError(400, planError);
+    }
+
+    const user = await User.findById(userId).session(session);
+    if (!user) {
+      throw new HttpError(404, 'User not found');
+    }
+
+    await lockDeposit(goal, user, session);
+
+    return { goal, user };
+  });
+
+  publishEvent('goal.created', result.goal);
+  return result;
+};
+
+// Mark a milestone completed and release its share of the escrow to the
+// owner, completing the goal when it was the last open milestone. updates
+// are applied to the milestone in the same transaction (proof, verification).
+// fromStatus guards against deciding a milestone whose state has moved on.
+const completeMilestone = async (goalId, milestoneId, updates = {}, { fromStatus } = {}) => {
+  const result = await withTransaction(async (session) => {
+    const goal = await Goal.findById(goalId).session(session);
+    if (!goal) {
+      throw new HttpError(404, 'Goal not found');
+    }
+
+    if (goal.status !== 'active') {
+      throw new HttpError(400, 'Cannot complete milestones for inactive goals');
+    }
+
+    const milestone = goal.milestones.id(milestoneId);
+    if (!milestone) {
+      throw new HttpError(404, 'Milestone not found');
+    }
+
+    if (milestone.isCompleted) {
+      throw new HttpError(400, 'This milestone is already completed');
+    }
+
+    if (fromStatus && milestone.verificationStatus !== fromStatus) {
+      throw new HttpError(409, `Milestone is no longer in ${fromStatus}`);
+    }
+
+    const user = await User.findById(goal.userId).session(session);
+    if (!user) {
+      throw new HttpError(404, 'User not found');
+    }
+
+    milestone.set(updates);
+    milestone.isCompleted = true;
+    milestone.completedAt = new Date();
+    milestone.verified = true;
+
+    // Open milestones share what is left in escrow by percentage, so deadline
+    // penalties are spread over them. The last one releases the remainder so
+    // rounding never strands cents in escrow.
+    const openPercentage = goal.milestones
+      .filter(m => !m.isCompleted || m._id.equals(milestone._id))
+      .reduce((sum, m) => sum + m.percentage, 0);
+    const refundAmount = goal.canBeCompleted()
+      ? Math.round(goal.remainingDeposit * 100) / 100
+      : Math.round((goal.remainingDeposit * (milestone.percentage / openPercentage)) * 100) / 100;
+    milestone.releasedAmount = refundAmount;
+
+    const goalCompleted = goal.completeGoal();
+
+    stats.recordMilestoneCompleted(user, milestone.completedAt);
+    stats.recordRefund(user, refundAmount);
+    if (goalCompleted) {
+      stats.recordGoalCompleted(user, goal.completedAt);
+    }
+
+    await goal.save({ session });
+    if (refundAmount > 0) {
+      await wallet.releaseFromEscrow(user, goal, milestone, refundAmount, { session });
+    }
+    // No-op when the release above already saved the stats
+    await user.save({ session });
+
+    return { goal, milestone, user, refundAmount, goalCompleted };
+  });
+
+  publishEvent('milestone.verified', result.goal, result.milestone);
+  if (result.goalCompleted) {
+    publishEvent('goal.completed', result.goal);
+  }
+  return result;
+};
+
+// Fail an active goal whose deadline has passed and forfeit the remaining
+// escrow. Returns null when the goal no longer qualifies (already finalized,
+// deadline moved), so the deadline job can safely race with user actions.
+const failGoal = async (goalId, now = new Date()) => {
+  const result = await withTransaction(async (session) => {
+    const goal = await Goal.findById(goalId).session(session);
+    if (!goal || goal.status !== 'active' || !goal.deadline || goal.deadline > now) {
+      return null;
+    }
+
+    const forfeitedAmount = Math.round(goal.remainingDeposit * 100) / 100;
+
+    goal.status = 'failed';
+    goal.finalizedAt = now;
+    // Deadline extension penalties may already have been forfeited
+    goal.forfeitedAmount = Math.round(((goal.forfeitedAmount || 0) + forfeitedAmount) * 100) / 100;
+    await goal.save({ session });
+
+    if (forfeitedAmount > 0) {
+      await wallet.forfeitEscrow(goal, forfeitedAmount, {
+        session,
+        description: `Deadline missed for goal "${goal.title}"`
+      });
+    }
+
+    return { goal, forfeitedAmount };
+  });
+
+  if (result) {
+    publishEvent('goal.failed', result.goal);
+  }
+  return result;
+};
+
+// Share of the remaining escrow forfeited when an active goal's deadline is pushed back (0-100)
+const deadlineExtensionPenaltyPercent = () => {
+  const percent = Number(process.env.DEADLINE_EXTENSION_PENALTY_PERCENT ?? 10);
+  return Number.isFinite(percent) ? Math.min(Math.max(percent, 0), 100) : 10;
+};
+
+const MAX_DEADLINE_EXTENSIONS = 3;
+
+// Penalty for moving an active goal's deadline later, or the reason it can't be
+const quoteDeadlineExtension = (goal, now = new Date()) => {
+  if (goal.deadline <= now) {
+    return { allowed: false, reason: 'The deadline has already passed' };
+  }
+  if (goal.deadlineExtensions.length >= MAX_DEADLINE_EXTENSIONS) {
+    return { allowed: false, reason: `A deadline can be extended at most ${MAX_DEADLINE_EXTENSIONS} times` };
+  }
+
+  const penaltyAmount = Math.round(goal.remainingDeposit * deadlineExtensionPenaltyPercent()) / 100;
+  return { allowed: true, penaltyAmount, penaltyPercent: deadlineExtensionPenaltyPercent() };
+};
+
+// Push an active goal's deadline back, forfeiting the extension penalty to the
+// goal's forfeiture destination. updates are other edits saved with it.
+const extendDeadline = (goalId, userId, newDeadline, { updates = {}, now = new Date() } = {}) => {
+  return withTransaction(async (session) => {
+    const goal = await Goal.findOne({ _id: goalId, userId }).session(session);
+    if (!goal) {
+      throw new HttpError(404, 'Goal not found or access denied');
+    }
+
+    if (goal.status !== 'active' || !goal.deadline || newDeadline <= goal.deadline) {
+      throw new HttpError(409, 'The goal changed while you were editing it. Please reload and try again.');
+    }
+
+    const quote = quoteDeadlineExtension(goal, now);
+    if (!quote.allowed) {
+      throw new HttpError(400, quote.reason);
+    }
+
+    goal.set(updates);
+    goal.deadlineExtensions.push({
+      previousDeadline: goal.deadline,
+      newDeadline,
+      penaltyAmount: quote.penaltyAmount,
+      extendedAt: now
+    });
+    goal.deadline = newDeadline;
+    goal.forfeitedAmount = Math.round(((goal.forfeitedAmount || 0) + quote.penaltyAmount) * 100) / 100;
+    await goal.save({ session });
+
+    if (quote.penaltyAmount > 0) {
+      await wallet.forfeitEscrow(goal, quote.penaltyAmount, {
+        session,
+        description: `Deadline extension penalty for goal "${goal.title}"`
+      });
+    }
+
+    return { goal, penaltyAmount: quote.penaltyAmount };
+  });
+};
+
+// Abandon an active goal at the owner's request. The remaining escrow is
+// forfeited, minus the share ABANDON_REFUND_PERCENT returns to the owner.
+const abandonGoal = async (goalId, userId, reason) => {
+  const result = await withTransaction(async (session) => {
+    const goal = await Goal.findOne({ _id: goalId, userId }).session(session);
+    if (!goal) {
+      throw new HttpError(404, 'Goal not found or access denied');
+    }
+
+    if (goal.status !== 'active') {
+      throw new HttpError(400, 'Only active goals can be abandoned');
+    }
+
+    const user = await User.findById(userId).session(session);
+    if (!user) {
+      throw new HttpError(404, 'User not found');
+    }
+
+    const remaining = Math.round(goal.remainingDeposit * 100) / 100;
+    const refundAmount = Math.round(remaining * abandonRefundPercent()) / 100;
+    const forfeitedAmount = Math.round((remaining - refundAmount) * 100) / 100;
+
+    goal.status = 'abandoned';
+    goal.finalizedAt = new Date();
+    goal.abandonReason = reason;
+    goal.finalRefundAmount = refundAmount;
+    goal.forfeitedAmount = Math.round(((goal.forfeitedAmount || 0) + forfeitedAmount) * 100) / 100;
+    await goal.save({ session });
+
+    if (refundAmount > 0) {
+      stats.recordRefund(user, refundAmount);
+      await wallet.refundFromEscrow(user, goal, refundAmount, {
+        session,
+        description: `Partial refund for abandoned goal "${goal.title}"`
+      });
+    }
+    if (forfeitedAmount > 0) {
+      await wallet.forfeitEscrow(goal, forfeitedAmount, {
+        session,
+        description: `Abandoned goal "${goal.title}"`
+      });
+    }
+
+    return { goal, user, refundAmount, forfeitedAmount };
+  });
+
+  publishEvent('goal.abandoned', result.goal);
+  return result;
+};
+
+module.exports = {
+  needsPartnerApproval,
+  assertCanFund,
+  fundGoal,
+  fundDraft,
+  completeMilestone,
+  failGoal,
+  quoteDeadlineExtension,
+  extendDeadline,
+  abandonGoal
+};
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// In-process bus for goal and milestone lifecycle events. Publish only after
+// the change is committed; listeners must handle their own errors.
+const bus = new EventEmitter();
+
+const EVENT_TYPES = [
+  'goal.created',
+  'goal.completed',
+  'goal.failed',
+  'goal.abandoned',
+  'milestone.verified',
+  'milestone.manual_review',
+  'milestone.rejected'
+];
+
+const toGoalPayload = (goal) => ({
+  id: goal._id,
+  title: goal.title,
+  status: goal.status,
+  category: goal.category,
+  depositAmount: goal.depositAmount,
+  remainingDeposit: goal.remainingDeposit,
+  forfeitedAmount: goal.forfeitedAmount,
+  forfeitureDestination: goal.forfeitureDestination && {
+    type: goal.forfeitureDestination.type,
+    name: goal.forfeitureDestination.name
+  },
+  completionPercentage: goal.completionPercentage,
+  deadline: goal.deadline,
+  createdAt: goal.createdAt,
+  completedAt: goal.completedAt,
+  finalizedAt: goal.finalizedAt
+});
+
+const toMilestonePayload = (milestone) => ({
+  id: milestone._id,
+  description: milestone.description,
+  percentage: milestone.percentage,
+  isCompleted: milestone.isCompleted,
+  completedAt: milestone.completedAt,
+  verificationStatus: milestone.verificationStatus,
+  releasedAmount: milestone.releasedAmount
+});
+
+// Publish an event about a goal (and optionally one of its milestones) to its owner's listeners
+const publishEvent = (type, goal, milestone) => {
+  const event = {
+    id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+    type,
+    userId: goal.userId._id || goal.userId,
+    createdAt: new Date().toISOString(),
+    data: {
+      goal: toGoalPayload(goal),
+      ...(milestone && { milestone: toMilestonePayload(milestone) })
+    }
+  };
+
+  bus.emit('event', event);
+  return event;
+};
+
+const subscribe = (listener) => {
+  bus.on('event', listener);
+};
+
+module.exports = {
+  EVENT_TYPES,
+  publishEvent,
+  subscribe
+};
@@ -0,0 +1,153 @@
+const PDFDocument = require('pdfkit');
+const Transaction = require('../models/Transaction');
+const { localDateKey } = require('../utils/timezone');
+
+const { ACCOUNTS } = Transaction;
+
+const roundCents = (amount) => Math.round((amount || 0) * 100) / 100;
+const money = (amount) => `$${roundCents(amount).toFixed(2)}`;
+
+const milestoneReleased = (goal) => roundCents(goal.milestones.reduce((sum, m) => sum + (m.releasedAmount || 0), 0));
+
+// Goal fields shared by the CSV and JSON exports
+const toGoalRecord = (goal) => ({
+  id: String(goal._id),
+  title: goal.title,
+  description: goal.description,
+  status: goal.status,
+  category: goal.category,
+  difficulty: goal.difficulty,
+  tags: goal.tags,
+  depositAmount: goal.depositAmount,
+  releasedAmount: milestoneReleased(goal),
+  refundedAmount: roundCents(goal.finalRefundAmount),
+  forfeitedAmount: roundCents(goal.forfeitedAmount),
+  forfeitureDestination: goal.forfeitureDestination?.name,
+  milestonesCompleted: goal.milestones.filter(m => m.isCompleted).length,
+  milestonesTotal: goal.milestones.length,
+  deadline: goal.deadline,
+  createdAt: goal.createdAt,
+  fundedAt: goal.fundedAt,
+  completedAt: goal.completedAt,
+  finalizedAt: goal.finalizedAt
+});
+
+// A milestone with how its proof was verified
+const toMilestoneRecord = (milestone, index) => ({
+  id: String(milestone._id),
+  position: index + 1,
+  description: milestone.description,
+  percentage: milestone.percentage,
+  isCompleted: milestone.isCompleted,
+  completedAt: milestone.completedAt,
+  verificationStatus: milestone.verificationStatus,
+  aiConfidence: milestone.aiVerification?.confidence,
+  reviewDecision: milestone.review?.decision,
+  partnerDecision: milestone.partnerReview?.decision,
+  selfCertified: milestone.selfCertified,
+  proofUrl: milestone.proofUrl,
+  proofFileName: milestone.proofFile?.originalName,
+  releasedAmount: milestone.releasedAmount
+});
+
+// Wallet movement as seen from the user's wallet: credit, debit, or none for
+// entries between escrow and other accounts (forfeits)
+const toTransactionRecord = (transaction) => {
+  const wallet = ACCOUNTS.wallet(transaction.userId);
+  const direction = transaction.toAccount === wallet ? 'credit' : transaction.fromAccount === wallet ? 'debit' : 'none';
+
+  return {
+    id: String(transaction._id),
+    date: transaction.createdAt,
+    type: transaction.type,
+    direction,
+    amount: transaction.amount,
+    balanceAfter: transaction.balanceAfter,
+    fromAccount: transaction.fromAccount,
+    toAccount: transaction.toAccount,
+    goalId: transaction.goalId ? String(transaction.goalId) : undefined,
+    description: transaction.description
+  };
+};
+
+const GOAL_CSV_FIELDS = [
+  'id', 'title', 'status', 'category', 'difficulty', 'depositAmount', 'releasedAmount', 'refundedAmount',
+  'forfeitedAmount', 'forfeitureDestination', 'milestonesCompleted', 'milestonesTotal', 'deadline',
+  'createdAt', 'fundedAt', 'completedAt', 'finalizedAt'
+];
+
+const MILESTONE_CSV_FIELDS = [
+  'position', 'description', 'percentage', 'isCompleted', 'completedAt', 'verificationStatus', 'aiConfidence',
+  'reviewDecision', 'partnerDecision', 'selfCertified', 'proofUrl', 'proofFileName', 'releasedAmount'
+];
+
+const TRANSACTION_CSV_FIELDS = [
+  'id', 'date', 'type', 'direction', 'amount', 'balanceAfter', 'fromAccount', 'toAccount', 'goalId', 'description'
+];
+
+// Write a one-page summary of a goal to a new PDF document. Completed goals
+// get a certificate; others a summary of where the goal stands.
+const createGoalCertificate = (goal, user) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${goal.title} - AI Escrow` } });
+  const timezone = user.profile?.timezone;
+  const date = (value) => (value ? localDateKey(value, timezone) : '-');
+  const record = toGoalRecord(goal);
+  const completed = goal.status === 'completed';
+
+  doc.fontSize(24).text(completed ? 'Certificate of Completion' : 'Goal Summary', { align: 'center' });
+  doc.moveDown(0.5);
+  doc.fontSize(12).fillColor('#555555')
+    .text(completed ? 'This certifies that' : 'Prepared for', { align: 'center' });
+  doc.fontSize(18).fillColor('#000000').text(user.name, { align: 'center' });
+  doc.fontSize(12).fillColor('#555555')
+    .text(completed ? 'completed the goal' : `with the goal (${goal.status})`, { align: 'center' });
+  doc.moveDown(0.3);
+  doc.fontSize(16).fillColor('#000000').text(goal.title, { align: 'center' });
+  doc.moveDown(1.5);
+
+  doc.fontSize(11);
+  const rows = [
+    ['Started', date(goal.fundedAt)],
+    ['Deadline', date(goal.deadline)],
+    [completed ? 'Completed' : 'Finalized', date(goal.completedAt || goal.finalizedAt)],
+    ['Deposit', money(record.depositAmount)],
+    ['Released for milestones', money(record.releasedAmount)],
+    ['Refunded', money(record.refundedAmount)],
+    ['Forfeited', record.forfeitedAmount > 0 ? `${money(record.forfeitedAmount)} to ${record.forfeitureDestination}` : money(0)]
+  ];
+  for (const [label, value] of rows) {
+    doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(value);
+  }
+
+  doc.moveDown(1);
+  doc.font('Helvetica-Bold').fontSize(13).text(`Milestones (${record.milestonesCompleted} of ${record.milestonesTotal} completed)`);
+  doc.moveDown(0.5);
+  doc.fontSize(10);
+  goal.milestones.forEach((milestone, index) => {
+    const status = milestone.isCompleted
+      ? `Completed ${date(milestone.completedAt)}, ${money(milestone.releasedAmount)} released`
+      : 'Not completed';
+    doc.font('Helvetica-Bold').text(`${index + 1}. ${milestone.description}`);
+    doc.font('Helvetica').fillColor('#555555')
+      .text(`${milestone.percentage}% of deposit - ${status} - verification: ${milestone.verificationStatus.replace(/_/g, ' ')}`)
+      .fillColor('#000000');
+    doc.moveDown(0.4);
+  });
+
+  doc.moveDown(1);
+  doc.fontSize(8).fillColor('#888888')
+    .text(`Goal ID ${goal._id} - generated ${date(new Date())}`, { align: 'center' });
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  toGoalRecord,
+  toMilestoneRecord,
+  toTransactionRecord,
+  GOAL_CSV_FIELDS,
+  MILESTONE_CSV_FIELDS,
+  TRANSACTION_CSV_FIELDS,
+  createGoalCertificate
+};
@@ -0,0 +1,226 @@
+const Transaction = require('../models/Transaction');
+const ForfeiturePayout = require('../models/ForfeiturePayout');
+const ForfeitureBalance = require('../models/ForfeitureBalance');
+const { recordAudit } = require('./audit');
+const { withTransaction } = require('../utils/transaction');
+const { HttpError } = require('../utils/errors');
+
+const { ACCOUNTS } = Transaction;
+
+// Where a goal's forfeited escrow goes. Users pick one when creating a goal;
+// the ledger keeps a forfeiture account per destination so admins can see
+// what is owed to each one and pay it out.
+const DESTINATION_TYPES = ['charity', 'anti_charity', 'platform'];
+
+// Always available, and where goals without a choice forfeit to
+const PLATFORM_POOL = {
+  id: 'platform',
+  type: 'platform',
+  name: 'Platform pool',
+  description: 'Kept by the platform'
+};
+
+const DEFAULT_DESTINATIONS = [
+  {
+    id: 'givedirectly',
+    type: 'charity',
+    name: 'GiveDirectly',
+    description: 'Direct cash transfers to people living in poverty'
+  },
+  {
+    id: 'against-malaria-foundation',
+    type: 'charity',
+    name: 'Against Malaria Foundation',
+    description: 'Long-lasting insecticidal nets against malaria'
+  },
+  {
+    id: 'feeding-america',
+    type: 'charity',
+    name: 'Feeding America',
+    description: 'Network of US food banks'
+  }
+];
+
+// FORFEITURE_DESTINATIONS replaces the default charities with a JSON array of
+// { id, type, name, description }. Anti-charities are only offered when listed
+// there, since which causes to offer is an operator decision.
+const parseDestinations = () => {
+  if (!process.env.FORFEITURE_DESTINATIONS) {
+    return DEFAULT_DESTINATIONS;
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(process.env.FORFEITURE_DESTINATIONS);
+  } catch (error) {
+    throw new Error(`FORFEITURE_DESTINATIONS is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error('FORFEITURE_DESTINATIONS must be a JSON array');
+  }
+
+  const seen = new Set([PLATFORM_POOL.id]);
+  return entries.map((entry, index) => {
+    const { id, type, name, description } = entry || {};
+    if (typeof id !== 'string' || !/^[a-z0-9-]{2,50}$/.test(id) || seen.has(id)) {
+      throw new Error(`FORFEITURE_DESTINATIONS[${index}]: id must be a unique lowercase slug`);
+    }
+    if (!['charity', 'anti_charity'].includes(type)) {
+      throw new Error(`FORFEITURE_DESTINATIONS[${index}]: type must be charity or anti_charity`);
+    }
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error(`FORFEITURE_DESTINATIONS[${index}]: name is required`);
+    }
+    seen.add(id);
+    return { id, type, name: name.trim(), description: typeof description === 'string' ? description.trim() : undefined };
+  });
+};
+
+let destinations;
+
+const getDestinations = () => {
+  if (!destinations) {
+    destinations = [...parseDestinations(), PLATFORM_POOL];
+  }
+  return destinations;
+};
+
+const findDestination = (id) => getDestinations().find(destination => destination.id === id) || null;
+
+// The fields stored on a goal. Name and type are copied so the goal keeps its
+// destination if the configured list changes later.
+const toGoalDestination = ({ id, type, name }) => ({ id, type, name });
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// Forfeits recorded before goals had a destination count toward the platform pool
+const destinationIdFromAccount = (account) => {
+  return account === ACCOUNTS.FORFEITURE ? PLATFORM_POOL.id : account.slice(ACCOUNTS.forfeiture('').length);
+};
+
+// Totals forfeited to, paid out to and still owed to each destination.
+// Destinations that were removed from the configuration but still hold money
+// are listed by id.
+const getForfeitureReport = async ({ session } = {}) => {
+  // Sequential: operations inside one transaction must not run concurrently.
+  // Grouped per goal first, since one goal can forfeit more than once
+  // (deadline extension penalties, then the final forfeit).
+  const forfeits = await Transaction.aggregate([
+    { $match: { type: 'forfeit' } },
+    {
+      $group: {
+        _id: { account: '$toAccount', goalId: '$goalId' },
+        total: { $sum: '$amount' },
+        lastForfeitAt: { $max: '$createdAt' }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.account',
+        total: { $sum: '$total' },
+        goals: { $sum: 1 },
+        lastForfeitAt: { $max: '$lastForfeitAt' }
+      }
+    }
+  ]).session(session || null);
+  const payouts = await ForfeiturePayout.aggregate([
+    { $group: { _id: '$destinationId', total: { $sum: '$amount' }, lastPaidAt: { $max: '$paidAt' } } }
+  ]).session(session || null);
+
+  const rows = new Map(getDestinations().map(destination => [destination.id, {
+    id: destination.id,
+    type: destination.type,
+    name: destination.name,
+    configured: true,
+    goals: 0,
+    forfeited: 0,
+    paidOut: 0,
+    lastForfeitAt: null,
+    lastPaidAt: null
+  }]));
+  const rowFor = (id) => {
+    if (!rows.has(id)) {
+      rows.set(id, { id, type: null, name: id, configured: false, goals: 0, forfeited: 0, paidOut: 0, lastForfeitAt: null, lastPaidAt: null });
+    }
+    return rows.get(id);
+  };
+
+  for (const { _id, total, goals, lastForfeitAt } of forfeits) {
+    const row = rowFor(destinationIdFromAccount(_id));
+    row.goals += goals;
+    row.forfeited += total;
+    if (!row.lastForfeitAt || lastForfeitAt > row.lastForfeitAt) row.lastForfeitAt = lastForfeitAt;
+  }
+  for (const { _id, total, lastPaidAt } of payouts) {
+    const row = rowFor(_id);
+    row.paidOut += total;
+    row.lastPaidAt = lastPaidAt;
+  }
+
+  return [...rows.values()].map(row => ({
+    ...row,
+    forfeited: roundCents(row.forfeited),
+    paidOut: roundCents(row.paidOut),
+    owed: roundCents(row.forfeited - row.paidOut)
+  }));
+};
+
+// Record money sent to a destination, at most what it is owed
+const recordPayout = (destinationId, amount, { reference, paidBy }) => {
+  return withTransaction(async (session) => {
+    const report = await getForfeitureReport({ session });
+    const row = report.find(entry => entry.id === destinationId);
+    if (!row) {
+      throw new HttpError(404, 'Forfeiture destination not found');
+    }
+    if (amount > row.owed) {
+      throw new HttpError(400, `Only $${row.owed.toFixed(2)} is owed to ${row.name}`);
+    }
+
+    // Claim the amount on the destination's balance document, seeded from the
+    // payouts recorded so far. A concurrent payout to the same destination
+    // writes the same document, so one of the two transactions conflicts and
+    // is retried against the other's committed total.
+    const amountCents = Math.round(amount * 100);
+    await ForfeitureBalance.updateOne(
+      { destinationId },
+      { $setOnInsert: { paidOutCents: Math.round(row.paidOut * 100) } },
+      { upsert: true, session }
+    );
+    const balance = await ForfeitureBalance.findOneAndUpdate(
+      { destinationId, paidOutCents: { $lte: Math.round(row.forfeited * 100) - amountCents } },
+      { $inc: { paidOutCents: amountCents } },
+      { new: true, session }
+    );
+    if (!balance) {
+      throw new HttpError(409, `Another payout to ${row.name} was recorded at the same time. Please reload and try again.`);
+    }
+
+    const [payout] = await ForfeiturePayout.create([{
+      destinationId,
+      amount,
+      reference,
+      paidBy
+    }], { session });
+
+    const owed = roundCents(row.owed - amount);
+    await recordAudit({
+      actorId: paidBy,
+      action: 'forfeiture.paid_out',
+      reason: reference,
+      details: { destinationId, amount, owed }
+    }, { session });
+
+    return { payout, destination: { ...row, paidOut: roundCents(row.paidOut + amount), owed } };
+  });
+};
+
+module.exports = {
+  DESTINATION_TYPES,
+  PLATFORM_POOL,
+  getDestinations,
+  findDestination,
+  toGoalDestination,
+  getForfeitureReport,
+  recordPayout
+};
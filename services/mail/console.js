@@ -0,0 +1,12 @@
+// Prints outgoing mail to the server log; the default for local development
+const createConsoleTransport = () => ({
+  async send(message) {
+    console.log('📧 Email', JSON.stringify({ to: message.to, subject: message.subject }));
+    console.log(message.text);
+    return { id: null };
+  }
+});
+
+module.exports = {
+  createConsoleTransport
+};
@@ -0,0 +1,20 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Writes each outgoing message as a JSON file, handy for inspecting links locally
+const createFileTransport = ({ directory }) => ({
+  async send(message) {
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(
+      path.join(directory, `${id}.json`),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+    return { id };
+  }
+});
+
+module.exports = {
+  createFileTransport
+};
@@ -0,0 +1,50 @@
+const path = require('path');
+const { createConsoleTransport } = require('./console');
+const { createFileTransport } = require('./file');
+const { createSmtpTransport } = require('./smtp');
+
+// Mail transports by MAIL_TRANSPORT. Each implements send({ from, to, subject, text }).
+const transports = {
+  console: () => createConsoleTransport(),
+  file: () => createFileTransport({
+    directory: process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'mail-outbox')
+  }),
+  smtp: () => createSmtpTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: Number(process.env.SMTP_PORT) || 1025
+  })
+};
+
+let transport;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+const sendMail = ({ to, subject, text }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'AI Escrow <no-reply@ai-escrow.local>',
+    to,
+    subject,
+    text
+  });
+};
+
+// Link into the frontend app, e.g. appUrl('/reset-password', { token })
+const appUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.APP_URL || 'http://localhost:3000');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+module.exports = {
+  sendMail,
+  appUrl
+};
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const net = require('net');
+
+// Plain SMTP without auth or TLS, meant for a local catcher such as Mailpit
+// or MailHog (default localhost:1025). Not suitable for a real mail relay.
+const createSmtpTransport = ({ host, port, timeoutMs = 10000 }) => ({
+  send(message) {
+    const id = `${Date.now()}.${crypto.randomBytes(6).toString('hex')}@${host}`;
+    const address = (value) => {
+      const match = /<([^>]+)>/.exec(value);
+      return match ? match[1] : value;
+    };
+
+    // Dot-stuff the body and normalise line endings as RFC 5321 requires
+    const body = message.text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+    const data = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Message-ID: <${id}>`,
+      `Date: ${new Date().toUTCString()}`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      body,
+      '.'
+    ].join('\r\n');
+
+    // Each command with the reply code that lets the conversation continue
+    const steps = [
+      [null, 220],
+      ['EHLO localhost', 250],
+      [`MAIL FROM:<${address(message.from)}>`, 250],
+      [`RCPT TO:<${address(message.to)}>`, 250],
+      ['DATA', 354],
+      [data, 250],
+      ['QUIT', 221]
+    ];
+
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host, port });
+      let buffer = '';
+      let step = 0;
+
+      const fail = (error) => {
+        socket.destroy();
+        reject(error);
+      };
+
+      socket.setTimeout(timeoutMs, () => fail(new Error('SMTP connection timed out')));
+      socket.on('error', fail);
+
+      socket.on('data', (chunk) => {
+        buffer += chunk.toString();
+
+        // Wait for the last line of a (possibly multi-line) reply
+        const lines = buffer.split('\r\n').filter(Boolean);
+        const last = lines[lines.length - 1];
+        if (!buffer.endsWith('\r\n') || !/^\d{3} /.test(last)) return;
+        buffer = '';
+
+        const code = Number(last.slice(0, 3));
+        if (code !== steps[step][1]) {
+          return fail(new Error(`SMTP error: ${last}`));
+        }
+
+        step++;
+        if (step === steps.length) {
+          socket.end();
+          return resolve({ id });
+        }
+        socket.write(`${steps[step][0]}\r\n`);
+      });
+    });
+  }
+});
+
+module.exports = {
+  createSmtpTransport
+};
@@ -0,0 +1,122 @@
+const ai = require('./ai');
+
+// Generate a milestone plan for a goal title. Uses the configured AI provider
+// and falls back to keyword-based templates when it fails. feedback and
+// previousMilestones steer a regeneration of an existing draft plan.
+const generateMilestonePlan = async (title, { feedback, previousMilestones } = {}) => {
+  let milestones;
+  try {
+    console.log('Generating AI milestones for goal:', title);
+    const aiResponse = await ai.generateMilestones(title, { feedback, previousMilestones });
+    milestones = aiResponse.milestones;
+    console.log('Generated milestones:', milestones);
+
+    if (!milestones || milestones.length === 0) {
+      throw new Error('Empty milestones response');
+    }
+
+    milestones = milestones.map(milestone => ({
+      ...milestone,
+      verificationCriteria: milestone.verificationCriteria || 'Provide evidence showing completion of this milestone',
+      requiredProofType: milestone.requiredProofType || 'any'
+    }));
+
+  } catch (aiError) {
+    console.error('AI generation failed:', aiError.message);
+
+    const goalLower = title.toLowerCase();
+
+    if (goalLower.includes('sleep') || goalLower.includes('wake') || goalLower.includes('get up') || goalLower.includes('morning')) {
+      milestones = [
+        {
+          description: `Establish consistent bedtime routine and set optimal sleep schedule for "${title}"`,
+          percentage: 25,
+          verificationCriteria: 'Share your written sleep schedule and bedtime routine plan with specific times',
+          requiredProofType: 'text'
+        },
+        {
+          description: `Successfully wake up at target time for 7 consecutive days without snoozing`,
+          percentage: 30,
+          verificationCriteria: 'Provide 7 photos showing your alarm/phone display at wake-up time',
+          requiredProofType: 'image'
+        },
+        {
+          description: `Maintain consistent wake-up time for 3 weeks and optimize sleep environment`,
+          percentage: 25,
+          verificationCriteria: 'Submit sleep log showing 21 days of consistent wake times',
+          requiredProofType: 'text'
+        },
+        {
+          description: `Achieve 30-day streak and establish sustainable habit`,
+          percentage: 20,
+          verificationCriteria: 'Provide sleep tracking data showing 30-day consistency',
+          requiredProofType: 'any'
+        }
+      ];
+    } else if (goalLower.includes('weight') || goalLower.includes('kg') || goalLower.includes('fitness')) {
+      milestones = [
+        {
+          description: `Create detailed workout schedule and nutrition plan for "${title}"`,
+          percentage: 20,
+          verificationCriteria: 'Share weekly workout plan and meal plan document',
+          requiredProofType: 'document'
+        },
+        {
+          description: `Complete first month of consistent exercise and dietary changes`,
+          percentage: 25,
+          verificationCriteria: 'Provide workout log showing 12+ workouts, plus progress photos',
+          requiredProofType: 'image'
+        },
+        {
+          description: `Reach 50% progress milestone and adjust plan based on results`,
+          percentage: 30,
+          verificationCriteria: 'Share progress photos, measurements, and updated plan',
+          requiredProofType: 'image'
+        },
+        {
+          description: `Achieve final target and establish maintenance routine`,
+          percentage: 25,
+          verificationCriteria: 'Provide final progress photos and weight measurements',
+          requiredProofType: 'image'
+        }
+      ];
+    } else {
+      milestones = [
+        {
+          description: `Define action plan and gather resources for "${title}"`,
+          percentage: 20,
+          verificationCriteria: 'Share your detailed action plan',
+          requiredProofType: 'text'
+        },
+        {
+          description: `Execute first phase with consistent actions`,
+          percentage: 30,
+          verificationCriteria: 'Provide evidence of actions taken',
+          requiredProofType: 'any'
+        },
+        {
+          description: `Evaluate progress and optimize approach`,
+          percentage: 25,
+          verificationCriteria: 'Submit progress report with optimizations',
+          requiredProofType: 'text'
+        },
+        {
+          description: `Complete final phase and achieve "${title}"`,
+          percentage: 25,
+          verificationCriteria: 'Provide proof of completion',
+          requiredProofType: 'any'
+        }
+      ];
+    }
+  }
+
+  if (!milestones || milestones.length < 3 || milestones.length > 8) {
+    throw new Error('Invalid number of milestones generated');
+  }
+
+  return milestones;
+};
+
+module.exports = {
+  generateMilestonePlan
+};
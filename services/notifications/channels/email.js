@@ -0,0 +1,25 @@
+const { sendMail, appUrl } = require('../../mail');
+
+// Email copy of a notification. Unverified addresses are skipped so reminders
+// never go to an address the user hasn't confirmed.
+const send = async (user, notification) => {
+  if (!user.email || !user.verification?.emailVerified) {
+    return false;
+  }
+
+  await sendMail({
+    to: user.email,
+    subject: notification.title,
+    text: `Hi ${user.name},
+
+${notification.body}
+${notification.link ? `\n${appUrl(notification.link)}\n` : ''}
+You can choose which emails you receive in your notification settings.`
+  });
+
+  return true;
+};
+
+module.exports = {
+  send
+};
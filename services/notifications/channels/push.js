@@ -0,0 +1,67 @@
+const webpush = require('web-push');
+const PushSubscription = require('../../../models/PushSubscription');
+
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+
+let configured;
+
+// Web Push needs a VAPID key pair (generate one with `npx web-push generate-vapid-keys`).
+// Without VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY push delivery is skipped.
+const isConfigured = () => {
+  if (configured === undefined) {
+    const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY } = process.env;
+    configured = !!(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY);
+    if (configured) {
+      webpush.setVapidDetails(
+        process.env.VAPID_SUBJECT || 'mailto:no-reply@ai-escrow.local',
+        VAPID_PUBLIC_KEY,
+        VAPID_PRIVATE_KEY
+      );
+    }
+  }
+  return configured;
+};
+
+const getPublicKey = () => (isConfigured() ? process.env.VAPID_PUBLIC_KEY : null);
+
+// Send to every browser the user subscribed; returns true if any accepted it
+const send = async (user, notification) => {
+  if (!isConfigured()) {
+    return false;
+  }
+
+  const subscriptions = await PushSubscription.find({ userId: user._id });
+  const payload = JSON.stringify({
+    id: notification._id,
+    title: notification.title,
+    body: notification.body,
+    link: notification.link
+  });
+
+  const results = await Promise.all(subscriptions.map(async (subscription) => {
+    try {
+      await webpush.sendNotification(
+        { endpoint: subscription.endpoint, keys: subscription.keys },
+        payload,
+        { TTL: PUSH_TTL_SECONDS }
+      );
+      await PushSubscription.updateOne({ _id: subscription._id }, { $set: { lastUsedAt: new Date() } });
+      return true;
+    } catch (error) {
+      // The push service reports unsubscribed or expired endpoints with 404/410
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        await PushSubscription.deleteOne({ _id: subscription._id });
+      } else {
+        console.error(`Push delivery to ${subscription.endpoint} failed:`, error.message);
+      }
+      return false;
+    }
+  }));
+
+  return results.some(Boolean);
+};
+
+module.exports = {
+  getPublicKey,
+  send
+};
@@ -0,0 +1,74 @@
+const Notification = require('../../models/Notification');
+const email = require('./channels/email');
+const push = require('./channels/push');
+
+// Delivery channels on top of the in-app inbox, keyed by the matching
+// profile.preferences.notifications flag. Each implements send(user, notification)
+// and resolves true when the message was delivered.
+const channels = {
+  email,
+  push
+};
+
+// NOTIFICATION_CHANNELS=email,push (the default) picks which channels are used
+const enabledChannels = () => {
+  return (process.env.NOTIFICATION_CHANNELS || 'email,push')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => channels[name]);
+};
+
+// Store a notification in the user's inbox and deliver it over the channels
+// they allow. `preference` names the notifications flag that gates this kind
+// of message (e.g. 'milestoneReminders'); `dedupeKey` makes repeats a no-op.
+// Returns the notification, or null when it was skipped.
+const notify = async (user, { type, title, body, link, goalId, milestoneId, dedupeKey, preference }) => {
+  const preferences = user.profile?.preferences?.notifications || {};
+  if (preference && preferences[preference] === false) {
+    return null;
+  }
+
+  let notification;
+  try {
+    notification = await Notification.create({
+      userId: user._id,
+      type,
+      title,
+      body,
+      link,
+      goalId,
+      milestoneId,
+      dedupeKey
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+
+  const deliveredVia = [];
+  for (const name of enabledChannels()) {
+    if (preferences[name] === false) continue;
+
+    try {
+      if (await channels[name].send(user, notification)) {
+        deliveredVia.push(name);
+      }
+    } catch (error) {
+      console.error(`Notification ${name} delivery failed for user ${user._id}:`, error.message);
+    }
+  }
+
+  if (deliveredVia.length > 0) {
+    notification.deliveredVia = deliveredVia;
+    await notification.save();
+  }
+
+  return notification;
+};
+
+module.exports = {
+  notify,
+  getPushPublicKey: push.getPublicKey
+};
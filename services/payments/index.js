@@ -0,0 +1,39 @@
+const { createMockProvider } = require('./mock');
+
+// Payment providers by PAYMENT_PROVIDER. Each implements
+//   charge({ amount, currency, description, paymentMethod, metadata, idempotencyKey }) -> { id, status }
+//     (a repeated idempotencyKey returns the original charge instead of charging again)
+//   createPaymentIntent({ amount, currency, metadata }) -> { id, status, clientSecret }
+//   createPayout({ amount, currency, destination, metadata }) -> { id, status }
+//   verifyWebhook(rawBody, headers) -> { id, type, data: { object } }
+// throwing an HttpError (402 when a payment is refused, 400 for bad input or signatures).
+// Intents and payouts settle asynchronously through provider webhooks.
+const providers = {
+  mock: createMockProvider
+};
+
+let provider;
+
+// Production must name its provider explicitly and may never use the mock,
+// which settles whatever a correctly signed webhook claims
+const getPaymentProvider = () => {
+  if (!provider) {
+    const production = process.env.NODE_ENV === 'production';
+    const name = process.env.PAYMENT_PROVIDER || (production ? undefined : 'mock');
+    if (!name) {
+      throw new Error('PAYMENT_PROVIDER must be set in production');
+    }
+    if (!Object.hasOwn(providers, name)) {
+      throw new Error(`Unknown payment provider "${name}"`);
+    }
+    if (name === 'mock' && production) {
+      throw new Error('The mock payment provider cannot be used in production');
+    }
+    provider = providers[name]();
+  }
+  return provider;
+};
+
+module.exports = {
+  getPaymentProvider
+};
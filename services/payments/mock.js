@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { HttpError } = require('../../utils/errors');
+
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+// Local stand-in for a Stripe-like processor. Nothing leaves the machine:
+// intents and payouts stay pending until a webhook event settles them, which
+// buildWebhook() produces for the dev-only simulate endpoint.
+// Any payment method succeeds except "pm_card_declined", and payouts to
+// "ba_fail" fail, so the failure paths can be exercised by hand.
+const createMockProvider = () => {
+  // Webhook signing secret shared with the (pretend) provider. There is no
+  // default: a known secret would let anyone sign their own top-ups.
+  const webhookSecret = process.env.PAYMENT_WEBHOOK_SECRET;
+  if (!webhookSecret) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET is not configured');
+  }
+
+  const sign = (timestamp, body) => {
+    return crypto.createHmac('sha256', webhookSecret).update(`${timestamp}.${body}`).digest('hex');
+  };
+
+  // Charges by idempotency key, so a repeated request returns the first result
+  const charges = new Map();
+
+  return {
+    name: 'mock',
+
+    async charge({ amount, currency = 'usd', description, paymentMethod = 'pm_card_ok', idempotencyKey }) {
+      if (idempotencyKey && charges.has(idempotencyKey)) {
+        return charges.get(idempotencyKey);
+      }
+      if (paymentMethod === 'pm_card_declined') {
+        throw new HttpError(402, 'Your card was declined');
+      }
+
+      const id = newId('mock_ch');
+      console.log(`💳 Mock charge ${id}: ${amount.toFixed(2)} ${currency.toUpperCase()} - ${description}`);
+
+      const charge = { id, status: 'succeeded', amount, currency };
+      if (idempotencyKey) {
+        charges.set(idempotencyKey, charge);
+      }
+      return charge;
+    },
+
+    // Start collecting money; the client completes it with clientSecret
+    async createPaymentIntent({ amount, currency = 'usd' }) {
+      const id = newId('mock_pi');
+      return {
+        id,
+        status: 'requires_confirmation',
+        amount,
+        currency,
+        // Random, so it reveals nothing about the intent id
+        clientSecret: `mock_secret_${crypto.randomBytes(24).toString('hex')}`
+      };
+    },
+
+    // Send money to an external account
+    async createPayout({ amount, currency = 'usd', destination }) {
+      if (!/^ba_[\w-]+$/.test(destination || '')) {
+        throw new HttpError(400, 'Payout destination must be a bank account reference (ba_...)');
+      }
+      return { id: newId('mock_po'), status: 'pending', amount, currency };
+    },
+
+    // Check the Mock-Signature header ("t=<unix>,v1=<hex hmac>") and parse the event
+    verifyWebhook(rawBody, headers) {
+      const header = headers['mock-signature'] || '';
+      const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+      const timestamp = Number(parts.t);
+
+      if (!timestamp || !parts.v1) {
+        throw new HttpError(400, 'Missing webhook signature');
+      }
+      if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+        throw new HttpError(400, 'Webhook timestamp is too old');
+      }
+
+      const expected = Buffer.from(sign(timestamp, rawBody));
+      const received = Buffer.from(parts.v1);
+      if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw new HttpError(400, 'Invalid webhook signature');
+      }
+
+      return JSON.parse(rawBody);
+    },
+
+    // Signed webhook request for an event such as payment_intent.succeeded
+    buildWebhook(type, object) {
+      const body = JSON.stringify({ id: newId('mock_evt'), type, data: { object } });
+      const timestamp = Math.floor(Date.now() / 1000);
+      return { body, headers: { 'mock-signature': `t=${timestamp},v1=${sign(timestamp, body)}` } };
+    }
+  };
+};
+
+module.exports = {
+  createMockProvider
+};
@@ -0,0 +1,52 @@
+// Subscription plans and their limits. null means unlimited.
+// goalLimit counts the user's open goals: active and draft (Goal.countOpenGoals).
+const PLANS = {
+  free: {
+    name: 'Free',
+    price: 0,
+    goalLimit: 5,
+    maxDeposit: 100,
+    aiVerificationsPerMonth: 10
+  },
+  premium: {
+    name: 'Premium',
+    price: 9.99,
+    goalLimit: null,
+    maxDeposit: 1000,
+    aiVerificationsPerMonth: 100
+  },
+  enterprise: {
+    name: 'Enterprise',
+    price: 49.99,
+    goalLimit: null,
+    maxDeposit: 10000,
+    aiVerificationsPerMonth: null
+  }
+};
+
+const PLAN_TIERS = ['free', 'premium', 'enterprise'];
+const BILLING_PERIOD_DAYS = 30;
+
+// The plan a subscription entitles the user to right now. Paid plans whose
+// endDate has passed count as free even before the expiry job catches up.
+const effectivePlan = (subscription = {}, now = new Date()) => {
+  const plan = PLANS[subscription.plan] ? subscription.plan : 'free';
+  if (plan === 'free') return 'free';
+  if (subscription.isActive === false) return 'free';
+  if (subscription.endDate && subscription.endDate <= now) return 'free';
+  return plan;
+};
+
+const getPlanLimits = (subscription, now) => PLANS[effectivePlan(subscription, now)];
+
+// Usage counters reset on the first of each UTC month
+const usageMonth = (now = new Date()) => now.toISOString().slice(0, 7);
+
+module.exports = {
+  PLANS,
+  PLAN_TIERS,
+  BILLING_PERIOD_DAYS,
+  effectivePlan,
+  getPlanLimits,
+  usageMonth
+};
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const { isUtf8 } = require('buffer');
+const { getStorage } = require('./storage');
+const { HttpError } = require('../utils/errors');
+
+const MB = 1024 * 1024;
+
+// Accepted MIME types and size limits for each requiredProofType
+const PROOF_RULES = {
+  image: {
+    mimeTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic'],
+    maxSize: 10 * MB
+  },
+  video: {
+    mimeTypes: ['video/mp4', 'video/quicktime', 'video/webm'],
+    maxSize: 100 * MB
+  },
+  document: {
+    mimeTypes: [
+      'application/pdf',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'text/plain'
+    ],
+    maxSize: 20 * MB
+  },
+  text: {
+    mimeTypes: ['text/plain', 'text/markdown'],
+    maxSize: 1 * MB
+  }
+};
+
+const MAX_PROOF_SIZE = Math.max(...Object.values(PROOF_RULES).map(rule => rule.maxSize));
+
+const bytesAt = (buffer, offset, bytes) => {
+  return buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+};
+const textAt = (buffer, offset, text) => bytesAt(buffer, offset, [...Buffer.from(text, 'latin1')]);
+
+// ISO base media files (MP4, QuickTime, HEIC) start with an ftyp box naming a brand
+const ftypBrand = (buffer) => (textAt(buffer, 4, 'ftyp') ? buffer.toString('latin1', 8, 12) : null);
+
+// Stored extension and content check for each accepted MIME type. The
+// extension never comes from the client's file name, and the content must
+// match the declared type, so a proof can't be served as HTML or script.
+const FILE_TYPES = {
+  'image/jpeg': { extension: '.jpg', matches: (b) => bytesAt(b, 0, [0xff, 0xd8, 0xff]) },
+  'image/png': { extension: '.png', matches: (b) => bytesAt(b, 0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  'image/gif': { extension: '.gif', matches: (b) => textAt(b, 0, 'GIF87a') || textAt(b, 0, 'GIF89a') },
+  'image/webp': { extension: '.webp', matches: (b) => textAt(b, 0, 'RIFF') && textAt(b, 8, 'WEBP') },
+  'image/heic': {
+    extension: '.heic',
+    matches: (b) => ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1'].includes(ftypBrand(b))
+  },
+  'video/mp4': { extension: '.mp4', matches: (b) => ftypBrand(b) !== null },
+  'video/quicktime': {
+    extension: '.mov',
+    matches: (b) => ftypBrand(b) !== null || ['moov', 'mdat', 'wide', 'free', 'skip'].some(atom => textAt(b, 4, atom))
+  },
+  'video/webm': { extension: '.webm', matches: (b) => bytesAt(b, 0, [0x1a, 0x45, 0xdf, 0xa3]) },
+  'application/pdf': { extension: '.pdf', matches: (b) => textAt(b, 0, '%PDF-') },
+  'application/msword': { extension: '.doc', matches: (b) => bytesAt(b, 0, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]) },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': {
+    extension: '.docx',
+    matches: (b) => bytesAt(b, 0, [0x50, 0x4b, 0x03, 0x04])
+  },
+  'text/plain': { extension: '.txt', matches: (b) => !b.includes(0) && isUtf8(b) },
+  'text/markdown': { extension: '.md', matches: (b) => !b.includes(0) && isUtf8(b) }
+};
+
+// 'any' accepts every type we know how to handle, each with its own size limit
+const findRule = (mimeType, requiredProofType) => {
+  const candidates = requiredProofType === 'any'
+    ? Object.values(PROOF_RULES)
+    : [PROOF_RULES[requiredProofType]].filter(Boolean);
+
+  return candidates.find(rule => rule.mimeTypes.includes(mimeType));
+};
+
+// Check an uploaded file against a milestone's requiredProofType
+const validateProofFile = (file, requiredProofType = 'any') => {
+  const rule = findRule(file.mimetype, requiredProofType);
+  if (!rule) {
+    throw new HttpError(415, `File type ${file.mimetype} is not accepted for ${requiredProofType} proof`);
+  }
+
+  if (file.size > rule.maxSize) {
+    throw new HttpError(413, `File is too large. Maximum size for this proof type is ${rule.maxSize / MB}MB`);
+  }
+
+  if (!FILE_TYPES[file.mimetype].matches(file.buffer)) {
+    throw new HttpError(415, `File content is not a valid ${file.mimetype} file`);
+  }
+};
+
+// Largest upload accepted for a declared MIME type under a milestone's
+// requiredProofType, or null when it isn't accepted. Used to stop reading an
+// upload as soon as it is over the limit.
+const maxSizeFor = (mimeType, requiredProofType = 'any') => findRule(mimeType, requiredProofType)?.maxSize || null;
+
+// Store a validated proof file, content-addressed under its goal
+const storeProofFile = async (file, goal) => {
+  const hash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+  const { extension } = FILE_TYPES[file.mimetype];
+  const key = `proofs/${goal._id}/${hash}${extension}`;
+
+  const { url } = await getStorage().save(key, file.buffer);
+
+  return {
+    url,
+    storageKey: key,
+    hash,
+    mimeType: file.mimetype,
+    size: file.size,
+    originalName: file.originalname
+  };
+};
+
+// Delete the proof files stored for a goal's milestones
+const removeProofFiles = async (goal) => {
+  const keys = goal.milestones.map(milestone => milestone.proofFile?.storageKey).filter(Boolean);
+  await Promise.all(keys.map(key => getStorage().remove(key)));
+};
+
+module.exports = {
+  PROOF_RULES,
+  MAX_PROOF_SIZE,
+  maxSizeFor,
+  validateProofFile,
+  storeProofFile,
+  removeProofFiles
+};
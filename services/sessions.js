@@ -0,0 +1,124 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { createToken, hashToken } = require('../utils/tokens');
+const { HttpError } = require('../utils/errors');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Short-lived access token bound to a session
+const signAccessToken = (user, session) => {
+  const payload = {
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email
+    },
+    sid: session.id
+  };
+
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+// Start a session for a device and return its access and refresh tokens
+const createSession = async (user, req) => {
+  const { token: refreshToken, hash } = createToken(48);
+
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hash,
+    expiresAt: refreshExpiry(),
+    lastUsedAt: new Date(),
+    userAgent: req.get('User-Agent')?.slice(0, 500),
+    ip: req.ip
+  });
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken
+  };
+};
+
+const revokeSession = (sessionId, reason) => {
+  return Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+const revokeAllSessions = (userId, reason) => {
+  return Session.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Exchange a refresh token for a new pair. The swap is a single conditional
+// update, so a token works exactly once; presenting a rotated-out token
+// revokes the whole session since it means the token was copied.
+const rotateRefreshToken = async (refreshToken) => {
+  const oldHash = hashToken(refreshToken);
+  const { token: newRefreshToken, hash: newHash } = createToken(48);
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: oldHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: { refreshTokenHash: newHash, lastUsedAt: new Date(), expiresAt: refreshExpiry() },
+      $push: { previousTokenHashes: { $each: [oldHash], $slice: -50 } }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOne({ previousTokenHashes: oldHash, revokedAt: null });
+    if (reused) {
+      await revokeSession(reused._id, 'reuse_detected');
+      console.warn(`Refresh token reuse detected, session ${reused._id} revoked`);
+    }
+    throw new HttpError(401, 'Refresh token is invalid or has expired. Please log in again.');
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user || user.suspension.isSuspended) {
+    await revokeSession(session._id, 'logout');
+    throw new HttpError(401, 'Refresh token is invalid or has expired. Please log in again.');
+  }
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken: newRefreshToken,
+    user
+  };
+};
+
+// Revoke the session a refresh token belongs to
+const revokeByRefreshToken = async (refreshToken, reason = 'logout') => {
+  const session = await Session.findOne({ refreshTokenHash: hashToken(refreshToken), revokedAt: null });
+  if (session) {
+    await revokeSession(session._id, reason);
+  }
+  return session;
+};
+
+const isSessionActive = (sessionId) => {
+  return Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+const listActiveSessions = (userId) => {
+  return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('userAgent ip createdAt lastUsedAt expiresAt')
+    .sort({ lastUsedAt: -1 });
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  revokeByRefreshToken,
+  isSessionActive,
+  listActiveSessions
+};
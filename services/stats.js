@@ -0,0 +1,96 @@
+const { localDayNumber } = require('../utils/timezone');
+
+// Helpers that keep User.stats in step with the ledger. They only change the
+// user document; callers save it inside the same transaction as the money
+// movement so stats and balances never disagree.
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+const recordGoalFunded = (user, goal, now = new Date()) => {
+  user.stats.goalsCreated += 1;
+  user.stats.totalDeposited = roundCents(user.stats.totalDeposited + goal.depositAmount);
+  user.stats.lastActivity = now;
+};
+
+// Money returned from escrow to the owner: milestone releases and partial refunds
+const recordRefund = (user, amount) => {
+  user.stats.totalRefunded = roundCents(user.stats.totalRefunded + amount);
+};
+
+// A streak counts consecutive days, in the user's timezone, with at least one
+// completed milestone. Several completions on one day count once.
+const recordMilestoneCompleted = (user, completedAt = new Date()) => {
+  const stats = user.stats;
+  const day = localDayNumber(completedAt, user.profile?.timezone);
+
+  if (stats.lastStreakDay == null || day > stats.lastStreakDay) {
+    stats.currentStreak = stats.lastStreakDay === day - 1 ? stats.currentStreak + 1 : 1;
+    stats.lastStreakDay = day;
+  }
+
+  stats.longestStreak = Math.max(stats.longestStreak, stats.currentStreak);
+  stats.lastActivity = completedAt;
+};
+
+const recordGoalCompleted = (user, now = new Date()) => {
+  user.stats.goalsCompleted += 1;
+  user.stats.lastActivity = now;
+};
+
+// The stored currentStreak is only updated on completions; a streak whose last
+// day is before yesterday has lapsed and reads as 0.
+const liveStreak = (stats, timezone, now = new Date()) => {
+  if (stats.lastStreakDay == null) return 0;
+  return localDayNumber(now, timezone) - stats.lastStreakDay <= 1 ? stats.currentStreak : 0;
+};
+
+// Recompute a user's stats from all their goals, for backfilling
+const computeStats = (goals, timezone) => {
+  const funded = goals.filter(goal => goal.status !== 'draft');
+  const completionDays = new Set();
+  const activity = [];
+
+  let totalRefunded = 0;
+  for (const goal of funded) {
+    totalRefunded += goal.finalRefundAmount || 0;
+    activity.push(goal.fundedAt || goal.createdAt, goal.completedAt, goal.finalizedAt);
+
+    for (const milestone of goal.milestones) {
+      totalRefunded += milestone.releasedAmount || 0;
+      if (milestone.isCompleted && milestone.completedAt) {
+        completionDays.add(localDayNumber(milestone.completedAt, timezone));
+        activity.push(milestone.completedAt);
+      }
+    }
+  }
+
+  const days = [...completionDays].sort((a, b) => a - b);
+  let currentStreak = 0;
+  let longestStreak = 0;
+  days.forEach((day, index) => {
+    currentStreak = index > 0 && days[index - 1] === day - 1 ? currentStreak + 1 : 1;
+    longestStreak = Math.max(longestStreak, currentStreak);
+  });
+
+  const timestamps = activity.filter(Boolean).map(date => new Date(date).getTime());
+
+  return {
+    goalsCreated: funded.length,
+    goalsCompleted: funded.filter(goal => goal.status === 'completed').length,
+    totalDeposited: roundCents(funded.reduce((sum, goal) => sum + goal.depositAmount, 0)),
+    totalRefunded: roundCents(totalRefunded),
+    currentStreak,
+    longestStreak,
+    lastStreakDay: days.length > 0 ? days[days.length - 1] : undefined,
+    lastActivity: timestamps.length > 0 ? new Date(Math.max(...timestamps)) : undefined
+  };
+};
+
+module.exports = {
+  recordGoalFunded,
+  recordRefund,
+  recordMilestoneCompleted,
+  recordGoalCompleted,
+  liveStreak,
+  computeStats
+};
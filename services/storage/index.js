@@ -0,0 +1,31 @@
+const path = require('path');
+const { createLocalStorage } = require('./local');
+
+const LOCAL_UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads');
+
+// Storage backends by STORAGE_DRIVER. Each implements save(key, buffer) -> { key, url }
+// and remove(key); add cloud drivers here.
+const drivers = {
+  local: () => createLocalStorage({
+    directory: LOCAL_UPLOAD_DIR,
+    baseUrl: `${process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`}/uploads`
+  })
+};
+
+let storage;
+
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[driver]) {
+      throw new Error(`Unknown storage driver "${driver}"`);
+    }
+    storage = drivers[driver]();
+  }
+  return storage;
+};
+
+module.exports = {
+  getStorage,
+  LOCAL_UPLOAD_DIR
+};
@@ -0,0 +1,30 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Stores files on local disk; server.js serves the directory under /uploads
+const createLocalStorage = ({ directory, baseUrl }) => {
+  const resolve = (key) => {
+    const filePath = path.resolve(directory, key);
+    if (!filePath.startsWith(path.resolve(directory) + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    async save(key, buffer) {
+      const filePath = resolve(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return { key, url: `${baseUrl}/${key}` };
+    },
+
+    async remove(key) {
+      await fs.rm(resolve(key), { force: true });
+    }
+  };
+};
+
+module.exports = {
+  createLocalStorage
+};
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const plans = require('./plans');
+const { getPaymentProvider } = require('./payments');
+const { HttpError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const periodEnd = (start) => new Date(start.getTime() + plans.BILLING_PERIOD_DAYS * DAY_MS);
+
+// Idempotency key for a charge made from a given subscription state. Retries
+// and double submits from the same state reuse the key, so the provider
+// returns the original charge instead of charging again.
+const chargeKey = (user, reason, planKey, amount) => {
+  const { plan, startDate, endDate, lastPaymentId } = user.subscription;
+  const state = [user.id, reason, planKey, amount, plan, startDate?.toISOString(), endDate?.toISOString(), lastPaymentId].join('|');
+  return `sub_${crypto.createHash('sha256').update(state).digest('hex').slice(0, 40)}`;
+};
+
+const chargeForPlan = (user, planKey, paymentMethod, reason, amount = plans.PLANS[planKey].price) => {
+  const plan = plans.PLANS[planKey];
+  return getPaymentProvider().charge({
+    amount,
+    currency: 'usd',
+    description: `${plan.name} plan ${reason} for ${user.email}`,
+    paymentMethod,
+    metadata: { userId: user.id, plan: planKey },
+    idempotencyKey: chargeKey(user, reason, planKey, amount)
+  });
+};
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// Value of the whole days left in a paid plan's period, at the plan's daily
+// rate. Whole days keep the amount stable across retries on the same day.
+const unusedCredit = (subscription, planKey, now) => {
+  if (planKey === 'free' || !subscription.endDate) return 0;
+  const daysLeft = Math.floor((subscription.endDate.getTime() - now.getTime()) / DAY_MS);
+  if (daysLeft <= 0) return 0;
+  return roundCents(plans.PLANS[planKey].price * daysLeft / plans.BILLING_PERIOD_DAYS);
+};
+
+// Switch a user's plan. Moving to a paid plan starts a new billing period
+// now; time left on a current paid plan is credited against its price, and
+// a credit larger than the price lengthens the new period instead. Moving to
+// free keeps the paid plan until endDate. Choosing the current plan again
+// undoes a pending downgrade.
+const changePlan = async (userId, planKey, { paymentMethod } = {}) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new HttpError(404, 'User not found');
+  }
+
+  const now = new Date();
+  const current = plans.effectivePlan(user.subscription, now);
+
+  if (planKey === 'free') {
+    if (current === 'free') {
+      throw new HttpError(400, 'You are already on the free plan');
+    }
+    user.subscription.cancelAtPeriodEnd = true;
+    await user.save();
+    return { user, message: `Your ${plans.PLANS[current].name} plan stays active until ${user.subscription.endDate.toISOString().slice(0, 10)}, then moves to Free` };
+  }
+
+  if (planKey === current) {
+    if (!user.subscription.cancelAtPeriodEnd) {
+      throw new HttpError(400, `You are already on the ${plans.PLANS[planKey].name} plan`);
+    }
+    user.subscription.cancelAtPeriodEnd = false;
+    await user.save();
+    return { user, message: `Your ${plans.PLANS[planKey].name} plan will renew on ${user.subscription.endDate.toISOString().slice(0, 10)}` };
+  }
+
+  if (!paymentMethod) {
+    throw new HttpError(400, 'A payment method is required to change to a paid plan');
+  }
+
+  const { price } = plans.PLANS[planKey];
+  const credit = unusedCredit(user.subscription, current, now);
+  const amountDue = roundCents(Math.max(price - credit, 0));
+  const endDate = credit > price
+    ? new Date(now.getTime() + plans.BILLING_PERIOD_DAYS * DAY_MS * (credit / price))
+    : periodEnd(now);
+
+  const charge = amountDue > 0
+    ? await chargeForPlan(user, planKey, paymentMethod, 'subscription', amountDue)
+    : null;
+  const message = `You are now on the ${plans.PLANS[planKey].name} plan until ${endDate.toISOString().slice(0, 10)}` +
+    (credit > 0 ? `, with $${credit.toFixed(2)} credited for unused time on your ${plans.PLANS[current].name} plan` : '');
+
+  // Conditional on the subscription we charged for, so a concurrent change
+  // isn't overwritten. A double submit gets the same charge back from the
+  // provider and finds it already applied. Older accounts may have no plan
+  // stored, which reads as free.
+  const { plan: chargedFrom, lastPaymentId } = user.subscription;
+  const updated = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      'subscription.plan': chargedFrom === 'free' ? { $in: ['free', null] } : chargedFrom,
+      'subscription.lastPaymentId': lastPaymentId ?? null
+    },
+    {
+      $set: {
+        subscription: {
+          plan: planKey,
+          startDate: now,
+          endDate,
+          isActive: true,
+          cancelAtPeriodEnd: false,
+          lastPaymentId: charge ? charge.id : lastPaymentId,
+          paymentMethod
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    const latest = await User.findById(userId);
+    if (charge && latest?.subscription.lastPaymentId === charge.id) {
+      return { user: latest, charge, credit, message };
+    }
+    throw new HttpError(409, 'Your plan changed while this request was processed. Please reload and try again.');
+  }
+
+  console.log(`Plan changed: user ${user.id} ${current} -> ${planKey}, charged $${amountDue.toFixed(2)}${charge ? ` (${charge.id})` : ''}`);
+
+  return { user: updated, charge, credit, message };
+};
+
+// Renew a paid plan whose period has ended, or move it to free when it was
+// cancelled or the renewal charge fails. The update is conditional on the
+// endDate we read, so a plan change made meanwhile is left alone.
+const renewOrExpire = async (user, now = new Date()) => {
+  const { plan, endDate, cancelAtPeriodEnd, paymentMethod } = user.subscription;
+
+  let renewal = null;
+  if (!cancelAtPeriodEnd && paymentMethod) {
+    try {
+      renewal = await chargeForPlan(user, plan, paymentMethod, 'renewal');
+    } catch (error) {
+      console.error(`Renewal failed for user ${user.id}:`, error.message);
+    }
+  }
+
+  // A late run starts the new period now rather than cutting it short
+  const start = endDate > now ? endDate : now;
+  const update = renewal
+    ? {
+      $set: {
+        'subscription.startDate': start,
+        'subscription.endDate': periodEnd(start),
+        'subscription.lastPaymentId': renewal.id
+      }
+    }
+    : {
+      $set: { 'subscription.plan': 'free', 'subscription.cancelAtPeriodEnd': false, 'subscription.startDate': now },
+      $unset: { 'subscription.endDate': 1, 'subscription.paymentMethod': 1 }
+    };
+
+  const result = await User.updateOne(
+    { _id: user._id, 'subscription.plan': plan, 'subscription.endDate': endDate },
+    update
+  );
+
+  return result.modifiedCount > 0 ? (renewal ? 'renewed' : 'expired') : null;
+};
+
+module.exports = {
+  changePlan,
+  renewOrExpire
+};
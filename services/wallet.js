@@ -0,0 +1,115 @@
+const Transaction = require('../models/Transaction');
+
+const { ACCOUNTS } = Transaction;
+
+// Move a goal's deposit from the owner's wallet into the goal's escrow account
+const depositToEscrow = (user, goal, { session } = {}) => {
+  return user.updateWalletBalance(goal.depositAmount, 'subtract', {
+    type: 'escrow_deposit',
+    counterAccount: ACCOUNTS.escrow(goal._id),
+    goalId: goal._id,
+    description: `Deposit for goal "${goal.title}"`,
+    session
+  });
+};
+
+// Release part of a goal's escrow back to the owner for a completed milestone
+const releaseFromEscrow = (user, goal, milestone, amount, { session } = {}) => {
+  return user.updateWalletBalance(amount, 'add', {
+    type: 'milestone_release',
+    counterAccount: ACCOUNTS.escrow(goal._id),
+    goalId: goal._id,
+    milestoneId: milestone._id,
+    description: `Release for milestone "${milestone.description}"`,
+    session
+  });
+};
+
+// Return unreleased escrow to the owner when a goal is finalized early
+const refundFromEscrow = (user, goal, amount, { session, description } = {}) => {
+  return user.updateWalletBalance(amount, 'add', {
+    type: 'refund',
+    counterAccount: ACCOUNTS.escrow(goal._id),
+    goalId: goal._id,
+    description: description || `Refund for goal "${goal.title}"`,
+    session
+  });
+};
+
+// Move what is left of a goal's escrow to its forfeiture destination's account
+const forfeitEscrow = async (goal, amount, { session, description } = {}) => {
+  const [transaction] = await Transaction.create([{
+    userId: goal.userId,
+    type: 'forfeit',
+    amount,
+    fromAccount: ACCOUNTS.escrow(goal._id),
+    toAccount: ACCOUNTS.forfeiture(goal.forfeitureDestination?.id || 'platform'),
+    goalId: goal._id,
+    description: description || `Forfeit for goal "${goal.title}"`
+  }], { session });
+
+  return transaction;
+};
+
+// Manual correction by an admin; a positive amount credits the wallet, a negative one debits it
+const adjustBalance = (user, amount, { reason, performedBy, session } = {}) => {
+  return user.updateWalletBalance(Math.abs(amount), amount > 0 ? 'add' : 'subtract', {
+    type: 'adjustment',
+    counterAccount: ACCOUNTS.ADJUSTMENT,
+    description: reason,
+    performedBy,
+    session
+  });
+};
+
+// Money received from the payment provider for a settled top-up
+const creditTopUp = (user, amount, { paymentId, session } = {}) => {
+  return user.updateWalletBalance(amount, 'add', {
+    type: 'top_up',
+    counterAccount: ACCOUNTS.EXTERNAL,
+    description: `Wallet top-up (payment ${paymentId})`,
+    session
+  });
+};
+
+// Funds leave the wallet when a withdrawal is requested, not when the payout settles
+const debitWithdrawal = (user, amount, { paymentId, session } = {}) => {
+  return user.updateWalletBalance(amount, 'subtract', {
+    type: 'withdrawal',
+    counterAccount: ACCOUNTS.EXTERNAL,
+    description: `Withdrawal (payment ${paymentId})`,
+    session
+  });
+};
+
+// Return the funds of a withdrawal whose payout failed
+const reverseWithdrawal = (user, amount, { paymentId, session } = {}) => {
+  return user.updateWalletBalance(amount, 'add', {
+    type: 'withdrawal_reversal',
+    counterAccount: ACCOUNTS.EXTERNAL,
+    description: `Failed withdrawal returned (payment ${paymentId})`,
+    session
+  });
+};
+
+// Welcome credit for new accounts, funded by the promotions account
+const grantSignupCredit = (user, amount, { session } = {}) => {
+  return user.updateWalletBalance(amount, 'add', {
+    type: 'signup_credit',
+    counterAccount: ACCOUNTS.PROMOTIONS,
+    description: 'Welcome credit',
+    session
+  });
+};
+
+module.exports = {
+  depositToEscrow,
+  releaseFromEscrow,
+  refundFromEscrow,
+  forfeitEscrow,
+  adjustBalance,
+  creditTopUp,
+  debitWithdrawal,
+  reverseWithdrawal,
+  grantSignupCredit
+};
@@ -0,0 +1,234 @@
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const wallet = require('./wallet');
+const { getPaymentProvider } = require('./payments');
+const { withTransaction } = require('../utils/transaction');
+const { HttpError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TOP_UP_LIMITS = { min: 5, max: 5000 };
+const MIN_WITHDRAWAL = 10;
+
+// Most a user may withdraw in any rolling 24 hours
+const withdrawalDailyLimit = () => Number(process.env.WITHDRAWAL_DAILY_LIMIT) || 1000;
+
+const findByIdempotencyKey = (userId, idempotencyKey, select) => {
+  if (!idempotencyKey) return null;
+  const query = Payment.findOne({ userId, idempotencyKey });
+  return select ? query.select(select) : query;
+};
+
+// Create a pending top-up. The wallet is only credited when the provider's
+// payment_intent.succeeded webhook arrives.
+const startTopUp = async (userId, amount, { idempotencyKey } = {}) => {
+  const existing = await findByIdempotencyKey(userId, idempotencyKey, '+clientSecret');
+  if (existing) {
+    return { payment: existing, clientSecret: existing.clientSecret };
+  }
+
+  const provider = getPaymentProvider();
+  const intent = await provider.createPaymentIntent({ amount, currency: 'usd', metadata: { userId: String(userId) } });
+
+  try {
+    const payment = await Payment.create({
+      userId,
+      type: 'top_up',
+      amount,
+      provider: provider.name,
+      providerPaymentId: intent.id,
+      clientSecret: intent.clientSecret,
+      idempotencyKey
+    });
+    return { payment, clientSecret: intent.clientSecret };
+  } catch (error) {
+    // A concurrent request with the same Idempotency-Key won the race
+    if (error.code === 11000 && idempotencyKey) {
+      const winner = await findByIdempotencyKey(userId, idempotencyKey, '+clientSecret');
+      return { payment: winner, clientSecret: winner.clientSecret };
+    }
+    throw error;
+  }
+};
+
+// Settle a pending top-up and credit the wallet. Replayed webhooks find the
+// payment already settled and do nothing.
+const settleTopUp = (providerPaymentId, amount) => {
+  return withTransaction(async (session) => {
+    const payment = await Payment.findOne({ providerPaymentId, type: 'top_up' }).session(session);
+    if (!payment || payment.status !== 'pending') {
+      return null;
+    }
+
+    if (amount !== undefined && amount !== payment.amount) {
+      throw new HttpError(400, `Amount mismatch for payment ${payment.id}: expected ${payment.amount}, got ${amount}`);
+    }
+
+    const user = await User.findById(payment.userId).session(session);
+    if (!user) {
+      throw new HttpError(404, 'User not found');
+    }
+
+    payment.status = 'settled';
+    payment.settledAt = new Date();
+    await payment.save({ session });
+    await wallet.creditTopUp(user, payment.amount, { paymentId: payment.id, session });
+
+    return payment;
+  });
+};
+
+const failTopUp = (providerPaymentId, reason) => {
+  return Payment.findOneAndUpdate(
+    { providerPaymentId, type: 'top_up', status: 'pending' },
+    { $set: { status: 'failed', failureReason: reason, failedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Check the withdrawal limits and move the amount out of the wallet,
+// recording a pending withdrawal in the same transaction
+const debitForWithdrawal = (userId, amount, destination, { idempotencyKey, provider }) => {
+  const limit = withdrawalDailyLimit();
+
+  return withTransaction(async (session) => {
+    const user = await User.findById(userId).session(session);
+    if (!user) {
+      throw new HttpError(404, 'User not found');
+    }
+
+    if (!user.verification.emailVerified) {
+      throw new HttpError(403, 'Please verify your email address before withdrawing funds');
+    }
+
+    const [recent] = await Payment.aggregate([
+      {
+        $match: {
+          userId: user._id,
+          type: 'withdrawal',
+          status: { $in: ['pending', 'settled'] },
+          createdAt: { $gte: new Date(Date.now() - DAY_MS) }
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]).session(session);
+
+    const available = Math.max(Math.round((limit - (recent?.total || 0)) * 100) / 100, 0);
+    if (amount > available) {
+      throw new HttpError(403, `Withdrawals are limited to $${limit.toFixed(2)} per 24 hours. You can withdraw up to $${available.toFixed(2)} right now.`);
+    }
+
+    if (user.walletBalance < amount) {
+      throw new HttpError(400, `Insufficient balance. You have $${user.walletBalance.toFixed(2)} available`);
+    }
+
+    const [created] = await Payment.create([{
+      userId,
+      type: 'withdrawal',
+      amount,
+      provider,
+      destination,
+      idempotencyKey
+    }], { session });
+    await wallet.debitWithdrawal(user, amount, { paymentId: created.id, session });
+
+    return created;
+  });
+};
+
+// Debit the wallet and ask the provider for a payout. Only verified email
+// addresses can withdraw, up to withdrawalDailyLimit() per rolling 24 hours.
+const startWithdrawal = async (userId, amount, destination, { idempotencyKey } = {}) => {
+  const existing = await findByIdempotencyKey(userId, idempotencyKey);
+  if (existing) {
+    return existing;
+  }
+
+  const provider = getPaymentProvider();
+
+  let payment;
+  try {
+    payment = await debitForWithdrawal(userId, amount, destination, { idempotencyKey, provider: provider.name });
+  } catch (error) {
+    // A concurrent request with the same Idempotency-Key won the race
+    if (error.code === 11000 && idempotencyKey) {
+      return findByIdempotencyKey(userId, idempotencyKey);
+    }
+    throw error;
+  }
+
+  try {
+    const payout = await provider.createPayout({
+      amount,
+      currency: 'usd',
+      destination,
+      metadata: { paymentId: payment.id }
+    });
+    payment.providerPaymentId = payout.id;
+    await payment.save();
+    return payment;
+  } catch (error) {
+    await failWithdrawal({ _id: payment._id }, error.message);
+    if (error instanceof HttpError) throw error;
+    console.error(`Payout request failed for payment ${payment.id}:`, error);
+    throw new HttpError(502, 'The payment provider could not start the withdrawal. Your balance has been restored.');
+  }
+};
+
+const settleWithdrawal = (providerPaymentId) => {
+  return Payment.findOneAndUpdate(
+    { providerPaymentId, type: 'withdrawal', status: 'pending' },
+    { $set: { status: 'settled', settledAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Mark a pending withdrawal failed and return its amount to the wallet
+const failWithdrawal = (filter, reason) => {
+  return withTransaction(async (session) => {
+    const payment = await Payment.findOne({ ...filter, type: 'withdrawal' }).session(session);
+    if (!payment || payment.status !== 'pending') {
+      return null;
+    }
+
+    const user = await User.findById(payment.userId).session(session);
+    if (!user) {
+      throw new HttpError(404, 'User not found');
+    }
+
+    payment.status = 'failed';
+    payment.failureReason = reason;
+    payment.failedAt = new Date();
+    await payment.save({ session });
+    await wallet.reverseWithdrawal(user, payment.amount, { paymentId: payment.id, session });
+
+    return payment;
+  });
+};
+
+// Apply a verified provider webhook event. Unknown event types are ignored.
+const handleProviderEvent = (event) => {
+  const object = event.data?.object || {};
+
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      return settleTopUp(object.id, object.amount);
+    case 'payment_intent.payment_failed':
+      return failTopUp(object.id, object.last_payment_error?.message || 'Payment failed');
+    case 'payout.paid':
+      return settleWithdrawal(object.id);
+    case 'payout.failed':
+      return failWithdrawal({ providerPaymentId: object.id }, object.failure_message || 'Payout failed');
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  TOP_UP_LIMITS,
+  MIN_WITHDRAWAL,
+  withdrawalDailyLimit,
+  startTopUp,
+  startWithdrawal,
+  handleProviderEvent
+};
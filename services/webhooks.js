@@ -0,0 +1,276 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const events = require('./events');
+const { HttpError } = require('../utils/errors');
+
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_RESPONSE_BYTES = 64 * 1024;
+// A claimed attempt is retried after this long if the process dies mid-request
+const CLAIM_MS = 60 * 1000;
+// Wait after each failed attempt: 1m, 5m, 30m, 2h, 8h
+const BACKOFF_SECONDS = [60, 300, 1800, 7200, 28800];
+const MAX_ATTEMPTS = BACKOFF_SECONDS.length + 1;
+const BATCH_SIZE = 50;
+
+// Addresses webhooks may not target, so users can't reach internal services.
+// Set WEBHOOK_ALLOW_PRIVATE_URLS=true to test against a local receiver.
+const privateRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv4'));
+privateRanges.addAddress('::', 'ipv6');
+privateRanges.addAddress('::1', 'ipv6');
+privateRanges.addSubnet('fc00::', 7, 'ipv6');
+privateRanges.addSubnet('fe80::', 10, 'ipv6');
+
+const isPrivateAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return privateRanges.check(mapped[1], 'ipv4');
+  return privateRanges.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+// Throw unless the URL is http(s) and resolves only to public addresses
+const assertDeliverableUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new HttpError(400, 'Webhook URL is not a valid URL');
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new HttpError(400, 'Webhook URL must use http or https');
+  }
+
+  if (process.env.NODE_ENV === 'production' && parsed.protocol !== 'https:') {
+    throw new HttpError(400, 'Webhook URL must use https');
+  }
+
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true') return;
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(parsed.hostname.replace(/^\[|\]$/g, ''), { all: true });
+  } catch {
+    throw new HttpError(400, `Could not resolve ${parsed.hostname}`);
+  }
+
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new HttpError(400, 'Webhook URL must not point to a private or local address');
+  }
+};
+
+// dns.lookup for delivery sockets that refuses private addresses. The check
+// runs on the addresses the socket actually connects to, so a hostname can't
+// pass assertDeliverableUrl and then be re-resolved to an internal address.
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error || process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true') {
+      return callback(error, address, family);
+    }
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (addresses.some(isPrivateAddress)) {
+      return callback(new Error(`${hostname} resolved to a private or local address`));
+    }
+    callback(null, address, family);
+  });
+};
+
+const deliveryAgents = {
+  httpAgent: new http.Agent({ lookup: publicOnlyLookup }),
+  httpsAgent: new https.Agent({ lookup: publicOnlyLookup })
+};
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Stripe-style signature: HMAC-SHA256 of "<timestamp>.<body>". Receivers
+// should recompute it and reject old timestamps to prevent replays.
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+const truncate = (value, length) => (value && value.length > length ? value.slice(0, length) : value);
+
+// Make one attempt at a delivery. The conditional claim means the immediate
+// attempt and the retry job never send the same attempt twice.
+const attemptDelivery = async (deliveryId, now = new Date()) => {
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    {
+      $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_MS), lastAttemptAt: now },
+      $inc: { attempts: 1 }
+    },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+  if (!webhook || !webhook.isActive) {
+    delivery.status = 'failed';
+    delivery.error = 'Webhook was deleted or disabled';
+    delivery.nextAttemptAt = undefined;
+    return delivery.save();
+  }
+
+  const timestamp = Math.floor(now.getTime() / 1000);
+  const started = Date.now();
+  let succeeded = false;
+
+  try {
+    // Checked on every attempt since DNS can change after registration. The
+    // agents check the address again at connect time, and redirects are not
+    // followed, so the request can't end up somewhere the check didn't see.
+    await assertDeliverableUrl(webhook.url);
+
+    const response = await axios.post(webhook.url, delivery.payload, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'AI-Escrow-Webhooks/1.0',
+        'X-Escrow-Event': delivery.event,
+        'X-Escrow-Delivery': delivery.id,
+        'X-Escrow-Signature': `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, delivery.payload)}`
+      },
+      ...deliveryAgents,
+      timeout: REQUEST_TIMEOUT_MS,
+      maxRedirects: 0,
+      maxContentLength: MAX_RESPONSE_BYTES,
+      responseType: 'text',
+      transformResponse: [(data) => data],
+      validateStatus: () => true
+    });
+
+    succeeded = response.status >= 200 && response.status < 300;
+    delivery.responseStatus = response.status;
+    delivery.responseBody = truncate(typeof response.data === 'string' ? response.data : '', 2000);
+    delivery.error = succeeded ? undefined : `Receiver responded with ${response.status}`;
+  } catch (error) {
+    delivery.responseStatus = undefined;
+    delivery.responseBody = undefined;
+    delivery.error = truncate(error.message, 500);
+  }
+
+  delivery.durationMs = Date.now() - started;
+
+  if (succeeded) {
+    delivery.status = 'succeeded';
+    delivery.nextAttemptAt = undefined;
+  } else if (delivery.attempts >= delivery.maxAttempts) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+  } else {
+    const delay = BACKOFF_SECONDS[Math.min(delivery.attempts - 1, BACKOFF_SECONDS.length - 1)];
+    delivery.nextAttemptAt = new Date(now.getTime() + delay * 1000);
+  }
+
+  await delivery.save();
+  await Webhook.updateOne(
+    { _id: webhook._id },
+    { $set: { lastDeliveryAt: now, lastDeliveryStatus: succeeded ? 'succeeded' : 'failed' } }
+  );
+
+  return delivery;
+};
+
+// Queue an event for one webhook and try it straight away
+const enqueueDelivery = async (webhook, event, { maxAttempts = MAX_ATTEMPTS } = {}) => {
+  const delivery = await WebhookDelivery.create({
+    webhookId: webhook._id,
+    userId: webhook.userId,
+    eventId: event.id,
+    event: event.type,
+    payload: JSON.stringify(event),
+    maxAttempts,
+    nextAttemptAt: new Date()
+  });
+
+  return attemptDelivery(delivery._id);
+};
+
+// Fan an event out to every active webhook of its owner that subscribed to it
+const handleEvent = async (event) => {
+  try {
+    const webhooks = await Webhook.find({ userId: event.userId, isActive: true, events: event.type });
+    await Promise.all(webhooks.map(webhook => enqueueDelivery(webhook, event).catch((error) => {
+      console.error(`Webhook delivery error for ${webhook._id}:`, error.message);
+    })));
+  } catch (error) {
+    console.error(`Error dispatching ${event.type} webhooks:`, error);
+  }
+};
+
+const subscribeToEvents = () => {
+  events.subscribe(handleEvent);
+};
+
+// Send a webhook.test event once, without retries, and return the delivery
+const sendTestEvent = (webhook) => {
+  const event = {
+    id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+    type: 'webhook.test',
+    userId: webhook.userId,
+    createdAt: new Date().toISOString(),
+    data: { webhook: { id: webhook._id, url: webhook.url } }
+  };
+
+  return enqueueDelivery(webhook, event, { maxAttempts: 1 });
+};
+
+// Queue a new attempt of a finished delivery with the original payload
+const redeliver = async (delivery) => {
+  const copy = await WebhookDelivery.create({
+    webhookId: delivery.webhookId,
+    userId: delivery.userId,
+    eventId: delivery.eventId,
+    event: delivery.event,
+    payload: delivery.payload,
+    maxAttempts: 1,
+    nextAttemptAt: new Date()
+  });
+
+  return attemptDelivery(copy._id);
+};
+
+// Retry deliveries whose backoff has elapsed; run by the webhooks job
+const processDueDeliveries = async (now = new Date()) => {
+  let attempted = 0;
+
+  for (;;) {
+    const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+      .select('_id')
+      .sort({ nextAttemptAt: 1 })
+      .limit(BATCH_SIZE);
+    if (due.length === 0) break;
+
+    for (const { _id } of due) {
+      try {
+        if (await attemptDelivery(_id, now)) attempted++;
+      } catch (error) {
+        console.error(`Error retrying webhook delivery ${_id}:`, error);
+      }
+    }
+
+    // Each attempt pushes nextAttemptAt past `now`, so the loop ends
+    if (due.length < BATCH_SIZE) break;
+  }
+
+  return attempted;
+};
+
+module.exports = {
+  EVENT_TYPES: events.EVENT_TYPES,
+  assertDeliverableUrl,
+  generateSecret,
+  signPayload,
+  subscribeToEvents,
+  sendTestEvent,
+  redeliver,
+  processDueDeliveries
+};
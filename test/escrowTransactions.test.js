@@ -0,0 +1,121 @@
+// Escrow funding and milestone release must leave goal and wallet state
+// unchanged when anything inside the transaction fails. Transactions need a
+// replica set, so this runs against a single-node in-memory one.
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const Goal = require('../models/Goal');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const escrow = require('../services/escrow');
+const wallet = require('../services/wallet');
+
+const STARTING_BALANCE = 100;
+
+let replSet;
+let user;
+
+const goalData = () => ({
+  title: 'Run a half marathon',
+  depositAmount: 40,
+  deadline: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+  milestones: [
+    { description: 'Run 10km without stopping', percentage: 50 },
+    { description: 'Finish the half marathon', percentage: 50 }
+  ]
+});
+
+const injectedFailure = () => new Error('Injected failure');
+
+// Goals, wallet balance and ledger entries for the test user
+const snapshot = async () => {
+  const [goals, owner, transactions] = await Promise.all([
+    Goal.find({ userId: user._id }).lean(),
+    User.findById(user._id).lean(),
+    Transaction.find({ userId: user._id }).sort({ createdAt: 1, _id: 1 }).lean()
+  ]);
+  return { goals, owner, transactions };
+};
+
+before(async () => {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(replSet.getUri());
+  await Promise.all([User.init(), Goal.init(), Transaction.init()]);
+});
+
+after(async () => {
+  await mongoose.disconnect();
+  await replSet?.stop();
+});
+
+beforeEach(async () => {
+  await Promise.all([User.deleteMany({}), Goal.deleteMany({}), Transaction.deleteMany({})]);
+  user = await User.create({
+    name: 'Test User',
+    email: 'escrow-test@example.com',
+    passwordHash: 'not-a-real-password-hash',
+    walletBalance: STARTING_BALANCE,
+    verification: { emailVerified: true }
+  });
+});
+
+test('fundGoal rolls back the goal when the wallet debit fails', async (t) => {
+  t.mock.method(wallet, 'depositToEscrow', async () => {
+    throw injectedFailure();
+  });
+
+  await assert.rejects(escrow.fundGoal(user._id, goalData()), /Injected failure/);
+
+  const { goals, owner, transactions } = await snapshot();
+  assert.strictEqual(goals.length, 0);
+  assert.strictEqual(owner.walletBalance, STARTING_BALANCE);
+  assert.strictEqual(owner.stats.goalsCreated, 0);
+  assert.strictEqual(transactions.length, 0);
+});
+
+test('fundGoal rolls back the goal, debit and ledger entry when it fails after the wallet write', async (t) => {
+  const depositToEscrow = wallet.depositToEscrow;
+  t.mock.method(wallet, 'depositToEscrow', async (...args) => {
+    await depositToEscrow(...args);
+    throw injectedFailure();
+  });
+
+  await assert.rejects(escrow.fundGoal(user._id, goalData()), /Injected failure/);
+
+  const { goals, owner, transactions } = await snapshot();
+  assert.strictEqual(goals.length, 0);
+  assert.strictEqual(owner.walletBalance, STARTING_BALANCE);
+  assert.strictEqual(transactions.length, 0);
+});
+
+test('fundGoal commits the goal, debit and ledger entry together', async () => {
+  const { goal } = await escrow.fundGoal(user._id, goalData());
+
+  const { goals, owner, transactions } = await snapshot();
+  assert.deepStrictEqual(goals.map(g => [String(g._id), g.status]), [[String(goal._id), 'active']]);
+  assert.strictEqual(owner.walletBalance, STARTING_BALANCE - 40);
+  assert.deepStrictEqual(transactions.map(tx => [tx.type, tx.amount, String(tx.goalId)]), [
+    ['escrow_deposit', 40, String(goal._id)]
+  ]);
+});
+
+test('completeMilestone rolls back the milestone when the release fails after the wallet write', async (t) => {
+  const { goal } = await escrow.fundGoal(user._id, goalData());
+  const previous = await snapshot();
+
+  const releaseFromEscrow = wallet.releaseFromEscrow;
+  t.mock.method(wallet, 'releaseFromEscrow', async (...args) => {
+    await releaseFromEscrow(...args);
+    throw injectedFailure();
+  });
+
+  await assert.rejects(escrow.completeMilestone(goal._id, goal.milestones[0]._id), /Injected failure/);
+
+  const { goals, owner, transactions } = await snapshot();
+  assert.strictEqual(goals[0].milestones[0].isCompleted, false);
+  assert.strictEqual(goals[0].milestones[0].releasedAmount, previous.goals[0].milestones[0].releasedAmount);
+  assert.strictEqual(owner.walletBalance, previous.owner.walletBalance);
+  assert.strictEqual(owner.stats.totalRefunded, previous.owner.stats.totalRefunded);
+  assert.strictEqual(transactions.length, previous.transactions.length);
+});
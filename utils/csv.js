@@ -0,0 +1,20 @@
+// Quote a value for CSV. Text starting with =, +, - or @ is prefixed with an
+// apostrophe so spreadsheets don't run it as a formula.
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line, including the trailing CRLF
+const toCsvRow = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+module.exports = {
+  escapeCsvValue,
+  toCsvRow
+};
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Opaque cursor for keyset pagination: the sort value and _id of the last
+// item on a page, base64url-encoded so clients treat it as a token.
+const encodeCursor = (doc, field) => {
+  const value = doc.get ? doc.get(field) : doc[field];
+  return Buffer.from(JSON.stringify({ v: value ?? null, id: String(doc._id) })).toString('base64url');
+};
+
+// Decode a cursor produced by encodeCursor. type is how the sort field is
+// stored ('date', 'number' or 'string'). Returns null for anything malformed.
+const decodeCursor = (cursor, type) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (!parsed || !mongoose.isValidObjectId(parsed.id)) return null;
+  const id = new mongoose.Types.ObjectId(parsed.id);
+  if (parsed.v === null) return { value: null, id };
+
+  if (type === 'date') {
+    const date = new Date(parsed.v);
+    return Number.isNaN(date.getTime()) ? null : { value: date, id };
+  }
+  if (typeof parsed.v !== type) return null;
+  return { value: parsed.v, id };
+};
+
+// Filter for the items after the cursor when sorting by { [field]: direction, _id: direction }.
+// MongoDB sorts missing and null values first, so they come first ascending and last descending.
+const cursorFilter = (field, direction, { value, id }) => {
+  if (direction === 1) {
+    return value === null
+      ? { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] }
+      : { $or: [{ [field]: { $gt: value } }, { [field]: value, _id: { $gt: id } }] };
+  }
+
+  return value === null
+    ? { [field]: null, _id: { $lt: id } }
+    : { $or: [{ [field]: { $lt: value } }, { [field]: value, _id: { $lt: id } }, { [field]: null }] };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  cursorFilter
+};
@@ -0,0 +1,12 @@
+// Error carrying the HTTP status a route should respond with
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+module.exports = {
+  HttpError
+};
@@ -0,0 +1,6 @@
+// Escape user input for use inside a RegExp / MongoDB $regex
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  escapeRegExp
+};
@@ -0,0 +1,61 @@
+// Helpers for working in a user's profile.timezone (IANA names such as "Europe/Berlin")
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Unknown or missing timezones fall back to UTC rather than throwing
+const safeTimezone = (timezone) => (isValidTimezone(timezone) ? timezone : 'UTC');
+
+// Calendar parts of `date` as seen in `timezone`
+const localParts = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: safeTimezone(timezone),
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+  return { year: value('year'), month: value('month'), day: value('day'), hour: value('hour') };
+};
+
+const localHour = (date, timezone) => localParts(date, timezone).hour;
+
+// Days since the epoch of the local calendar date, so consecutive local days differ by exactly 1
+const localDayNumber = (date, timezone) => {
+  const { year, month, day } = localParts(date, timezone);
+  return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+};
+
+// Local calendar date as YYYY-MM-DD
+const localDateKey = (date, timezone) => {
+  const { year, month, day } = localParts(date, timezone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+const formatLocalDate = (date, timezone) => {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone: safeTimezone(timezone),
+    dateStyle: 'full',
+    timeStyle: 'short'
+  }).format(date);
+};
+
+module.exports = {
+  isValidTimezone,
+  safeTimezone,
+  localHour,
+  localDayNumber,
+  localDateKey,
+  formatLocalDate
+};
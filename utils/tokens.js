@@ -0,0 +1,15 @@
+const crypto = require('crypto');
+
+// Hash a single-use token for storage; only the hash is ever persisted
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Generate a random URL-safe token together with its storage hash
+const createToken = (bytes = 32) => {
+  const token = crypto.randomBytes(bytes).toString('hex');
+  return { token, hash: hashToken(token) };
+};
+
+module.exports = {
+  createToken,
+  hashToken
+};
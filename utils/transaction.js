@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const MAX_ATTEMPTS = 3;
+
+const hasLabel = (error, label) => typeof error?.hasErrorLabel === 'function' && error.hasErrorLabel(label);
+
+// Commit, retrying while the server reports an unknown commit result
+const commitWithRetry = async (session, maxAttempts) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await session.commitTransaction();
+      return;
+    } catch (error) {
+      if (attempt < maxAttempts && hasLabel(error, 'UnknownTransactionCommitResult')) {
+        continue;
+      }
+      throw error;
+    }
+  }
+};
+
+// Run work(session) in a multi-document transaction, retrying the whole unit
+// of work on transient errors. work must load every document it changes
+// through the session so that a retry starts from fresh state.
+const withTransaction = async (work, { maxAttempts = MAX_ATTEMPTS } = {}) => {
+  const session = await mongoose.startSession();
+
+  try {
+    for (let attempt = 1; ; attempt++) {
+      session.startTransaction();
+      try {
+        const result = await work(session);
+        await commitWithRetry(session, maxAttempts);
+        return result;
+      } catch (error) {
+        if (session.inTransaction()) {
+          await session.abortTransaction();
+        }
+        if (attempt < maxAttempts && hasLabel(error, 'TransientTransactionError')) {
+          console.warn(`Transient transaction error, retrying (attempt ${attempt + 1}):`, error.message);
+          continue;
+        }
+        throw error;
+      }
+    }
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  withTransaction
+};